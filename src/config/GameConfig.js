@@ -6,48 +6,174 @@ export const GAME_CONFIG = {
   // Map settings
   TILE_SIZE: 32,
   MIN_MAP_SIZE: 10,
-  MAX_MAP_SIZE: 50,
+  MAX_MAP_SIZE: 200,
   DEFAULT_MAP_SIZE: 10,
+  DEFAULT_MAP_WIDTH: 10,
+  DEFAULT_MAP_HEIGHT: 10,
+
+  // Map generation settings
+  MAP_GENERATION: {
+    SEED: null, // fixed seed for every new map, null picks a random one
+    MODE: 'random', // 'random' rolls each tile independently, 'noise' grows coherent biomes
+    SYMMETRY: 'none', // 'none', 'mirror2', 'rotate4' or 'mirror4' for fair starts
+    CASTLE_PLACEMENT: 'corners', // 'corners', 'ring', 'poisson' or 'explicit'
+    MIN_CASTLE_DISTANCE: 4, // minimum distance in tiles between two castles
+    NOISE: {
+      SCALE: 8, // approximate size of terrain features in tiles
+      OCTAVES: 3,
+      PERSISTENCE: 0.5,
+    },
+  },
 
   // Faction settings
+  // terrainSpeedModifiers (optional) scale a faction's speed on tile types by name
+  MIN_FACTIONS: 2,
+  MAX_FACTIONS: 8,
+  DEFAULT_FACTION_COUNT: 4,
   FACTIONS: [
     {
-      id: 0, name: 'Red', color: 0xFF0000, speed: 0.5,
+      id: 0,
+      name: 'Red',
+      color: 0xFF0000,
+      speed: 0.5,
+    },
+    {
+      id: 1,
+      name: 'Blue',
+      color: 0x0066FF,
+      speed: 0.75,
     },
     {
-      id: 1, name: 'Blue', color: 0x0066FF, speed: 0.75,
+      id: 2,
+      name: 'Green',
+      color: 0x00FF00,
+      speed: 1.0,
+      terrainSpeedModifiers: {
+        forest: 1.5,
+        desert: 0.75,
+      },
     },
     {
-      id: 2, name: 'Green', color: 0x00FF00, speed: 1.0,
+      id: 3,
+      name: 'Yellow',
+      color: 0xFFFF00,
+      speed: 1.5,
+      terrainSpeedModifiers: {
+        desert: 1.25,
+        swamp: 0.75,
+      },
     },
     {
-      id: 3, name: 'Yellow', color: 0xFFFF00, speed: 1.5,
+      id: 4,
+      name: 'Purple',
+      color: 0x9932CC,
+      speed: 1.0,
+    },
+    {
+      id: 5,
+      name: 'Orange',
+      color: 0xFF8C00,
+      speed: 1.0,
+    },
+    {
+      id: 6,
+      name: 'Cyan',
+      color: 0x00CED1,
+      speed: 1.0,
+    },
+    {
+      id: 7,
+      name: 'Pink',
+      color: 0xFF69B4,
+      speed: 1.0,
     },
   ],
 
   // Tile types with probabilities
+  // elevation ('low', 'mid', 'high') and moisture (0-1) place each type in noise generation
+  // movementCost is the pathfinding cost of entering a passable tile (1 = open ground)
   TILE_TYPES: [
     {
-      id: 0, name: 'grass', color: 0x228B22, passable: true, probability: 0.7,
+      id: 0,
+      name: 'grass',
+      color: 0x228B22,
+      passable: true,
+      probability: 0.7,
+      elevation: 'mid',
+      moisture: 0.5,
+      movementCost: 1,
     },
     {
-      id: 1, name: 'water', color: 0x4682B4, passable: false, probability: 0.2,
+      id: 1,
+      name: 'water',
+      color: 0x4682B4,
+      passable: false,
+      probability: 0.2,
+      elevation: 'low',
+      moisture: 1.0,
     },
     {
-      id: 2, name: 'mountain', color: 0x8B4513, passable: false, probability: 0.1,
+      id: 2,
+      name: 'mountain',
+      color: 0x8B4513,
+      passable: false,
+      probability: 0.1,
+      elevation: 'high',
+      moisture: 0.5,
     },
     // Temporarily disabled for easier testing - uncomment to enable
     // {
-    //   id: 3, name: 'forest', color: 0x006400, passable: true, probability: 0.15,
+    //   id: 3,
+    //   name: 'forest',
+    //   color: 0x006400,
+    //   passable: true,
+    //   probability: 0.15,
+    //   elevation: 'mid',
+    //   moisture: 0.7,
+    //   movementCost: 2,
+    // },
+    // {
+    //   id: 4,
+    //   name: 'desert',
+    //   color: 0xF4A460,
+    //   passable: true,
+    //   probability: 0.1,
+    //   elevation: 'mid',
+    //   moisture: 0.1,
+    //   movementCost: 1.5,
     // },
     // {
-    //   id: 4, name: 'desert', color: 0xF4A460, passable: true, probability: 0.1,
+    //   id: 5,
+    //   name: 'swamp',
+    //   color: 0x556B2F,
+    //   passable: true,
+    //   probability: 0.05,
+    //   elevation: 'low',
+    //   moisture: 0.8,
+    //   movementCost: 3,
     // },
     // {
-    //   id: 5, name: 'swamp', color: 0x556B2F, passable: true, probability: 0.05,
+    //   id: 6,
+    //   name: 'road',
+    //   color: 0xC2B280,
+    //   passable: true,
+    //   probability: 0.05,
+    //   elevation: 'mid',
+    //   moisture: 0.3,
+    //   movementCost: 0.5,
     // },
   ],
 
+  // Neutral castles that any faction can capture
+  NEUTRAL_CASTLES: {
+    COUNT: 2, // neutral castles placed on new game maps
+    COLOR: 0x999999,
+    GARRISON: 15, // fixed starting garrison
+    PRODUCTION_RATE: 60, // units per minute once captured
+    PRODUCES_WHEN_NEUTRAL: false, // neutral garrisons only grow when this is enabled
+    MIN_DISTANCE: 3, // minimum distance in tiles from any other castle
+  },
+
   // Production settings
   PRODUCTION: {
     MIN_RATE: 1,
@@ -61,4 +187,31 @@ export const GAME_CONFIG = {
     UNIT_SPEED: 100, // pixels per second base speed
     PATHFINDING_MAX_TIME: 100, // milliseconds
   },
+
+  // Pathfinding settings
+  PATHFINDING: {
+    DIAGONAL_MOVEMENT: false, // allow 8-directional movement (diagonal steps cost sqrt(2))
+    // Diagonal steps next to impassable tiles: 'never' cuts no corners, 'single' passes
+    // one blocked corner, 'squeeze' also slips between two blocked tiles
+    CORNER_CUTTING: 'never',
+    ALLOW_PARTIAL_PATHS: true, // player orders to unreachable tiles stop at the closest tile
+    CACHE_SIZE: 500, // path results kept per map until its terrain changes
+    // Maps with a side of at least this many tiles use hierarchical pathfinding (HPA*)
+    HIERARCHICAL_MIN_SIZE: 64,
+    CLUSTER_SIZE: 16, // side in tiles of the clusters the hierarchical pathfinder works with
+    FLOW_FIELD_CACHE_SIZE: 16, // flow fields kept per map until its terrain changes
+    // Extra tiles a player order walks to avoid an enemy group as strong as itself (0 = ignore)
+    RISK_WEIGHT: 3,
+  },
+
+  // Queued orders of unit groups
+  ORDERS: {
+    HOLD_DURATION: 3000, // milliseconds a hold order keeps a group in place
+    SPLIT_FRACTIONS: [0.25, 0.5, 0.75, 1], // shares of a garrison sent with the keys 1 to 4
+    SPLIT_STEP: 0.05, // share the mouse wheel adds or removes while something is selected
+    STREAM_INTERVAL: 5000, // milliseconds between the dispatches of a castle stream
+    STREAM_THRESHOLD: 20, // garrison a threshold stream (Shift+T) keeps home
+    RALLY_MIN_GARRISON: 10, // units a castle with a rally point keeps home
+    RALLY_INTERVAL: 3000, // milliseconds between the groups sent to a rally point
+  },
 };
@@ -1,23 +1,146 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+
 export class Castle {
   constructor(x, y, factionId, productionRate = 3) {
     this.x = x;
     this.y = y;
-    this.factionId = factionId;
+    this.factionId = factionId; // null for neutral castles
+    this.stream = null; // standing order to send units on, see setStream
+    this.rallyPoint = null; // tile new units gather on, see setRallyPoint
     this.productionRate = productionRate;
     this.unitCount = 10; // Starting units
     this.lastProductionTime = Date.now();
+    this.producesWhenNeutral = true;
+  }
+
+  // Unowned castle with a fixed garrison, waiting to be captured
+  static createNeutral(x, y, options = {}) {
+    const settings = GAME_CONFIG.NEUTRAL_CASTLES;
+    const castle = new Castle(x, y, null, options.productionRate || settings.PRODUCTION_RATE);
+    castle.unitCount = options.garrison !== undefined ? options.garrison : settings.GARRISON;
+    castle.producesWhenNeutral = options.producesWhenNeutral !== undefined
+      ? options.producesWhenNeutral
+      : settings.PRODUCES_WHEN_NEUTRAL;
+    return castle;
+  }
+
+  // Keep sending units along route (tiles { x, y }, the last one is the target) without
+  // further orders: every options.interval milliseconds the units produced since the last
+  // dispatch, or with options.threshold whatever the garrison grows beyond that many units
+  setStream(route, options = {}) {
+    if (route.length === 0) {
+      throw new Error('Stream orders need a target');
+    }
+    if (options.interval !== undefined && options.threshold !== undefined) {
+      throw new Error('Stream orders take an interval or a threshold, not both');
+    }
+
+    const threshold = options.threshold !== undefined ? options.threshold : null;
+    if (threshold !== null && !(Number.isInteger(threshold) && threshold >= 0)) {
+      throw new Error(`Stream threshold must be a whole number of units, got ${threshold}`);
+    }
+    const interval = threshold === null
+      ? options.interval || GAME_CONFIG.ORDERS.STREAM_INTERVAL
+      : null;
+    if (interval !== null && !(interval > 0)) {
+      throw new Error(`Stream interval must be above 0, got ${interval}`);
+    }
+
+    this.stream = {
+      route: route.map((point) => ({ x: point.x, y: point.y })),
+      interval,
+      threshold,
+      lastDispatchTime: Date.now(),
+      producedUnits: 0, // produced since the last dispatch, what interval streams send
+    };
+  }
+
+  clearStream() {
+    this.stream = null;
+  }
+
+  // Units the stream sends now, 0 when it has nothing to send or is not due yet. Interval
+  // streams count a positive answer as a dispatch and wait a full interval for the next one.
+  takeStreamUnits(now = Date.now()) {
+    if (!this.stream) {
+      return 0;
+    }
+
+    const { interval, threshold } = this.stream;
+    if (threshold !== null) {
+      return Math.max(0, this.unitCount - threshold);
+    }
+    // Units lost in the meantime cannot be sent
+    const units = Math.min(this.stream.producedUnits, this.unitCount);
+    if (now - this.stream.lastDispatchTime < interval || units === 0) {
+      return 0;
+    }
+    this.stream.lastDispatchTime = now;
+    this.stream.producedUnits = 0;
+    return units;
+  }
+
+  // Gather production on a tile: every options.interval milliseconds the units beyond
+  // options.minGarrison are sent there
+  setRallyPoint(x, y, options = {}) {
+    const settings = GAME_CONFIG.ORDERS;
+    const minGarrison = options.minGarrison !== undefined
+      ? options.minGarrison
+      : settings.RALLY_MIN_GARRISON;
+    const interval = options.interval || settings.RALLY_INTERVAL;
+    if (!(Number.isInteger(minGarrison) && minGarrison >= 0)) {
+      throw new Error(`Rally garrison must be a whole number of units, got ${minGarrison}`);
+    }
+    if (!(interval > 0)) {
+      throw new Error(`Rally interval must be above 0, got ${interval}`);
+    }
+    if (x === this.x && y === this.y) {
+      throw new Error('A rally point cannot be on its own castle');
+    }
+
+    this.rallyPoint = {
+      x, y, minGarrison, interval, lastDispatchTime: Date.now(),
+    };
+  }
+
+  clearRallyPoint() {
+    this.rallyPoint = null;
+  }
+
+  // Units to send to the rally point now, 0 when there are none beyond the garrison or the
+  // next group is not due yet
+  takeRallyUnits(now = Date.now()) {
+    const rally = this.rallyPoint;
+    if (!rally || now - rally.lastDispatchTime < rally.interval) {
+      return 0;
+    }
+    rally.lastDispatchTime = now;
+    return Math.max(0, this.unitCount - rally.minGarrison);
+  }
+
+  isNeutral() {
+    return this.factionId === null;
   }
 
   update() {
     const now = Date.now();
     const timeDiff = now - this.lastProductionTime;
 
+    // Idle neutral castles keep their garrison fixed until captured
+    if (this.isNeutral() && !this.producesWhenNeutral) {
+      this.lastProductionTime = now;
+      return;
+    }
+
     // Produce units based on production rate (units per minute)
     const unitsToAdd = Math.floor((timeDiff / 60000) * this.productionRate);
 
     if (unitsToAdd > 0) {
       this.unitCount += unitsToAdd;
       this.lastProductionTime = now;
+      if (this.stream) {
+        this.stream.producedUnits += unitsToAdd;
+      }
     }
   }
 
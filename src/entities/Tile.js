@@ -2,15 +2,48 @@ export class Tile {
   constructor(x, y, type) {
     this.x = x;
     this.y = y;
-    this.type = type;
+    this.tileType = type;
     this.units = [];
-    this.castle = null;
+    this.tileCastle = null;
+    // Change counter shared by the tiles of a map, see PathfindingSystem.getMapRevision
+    this.mapRevision = null;
+  }
+
+  // Terrain and castles decide passability and movement costs, changing either one counts
+  // as a new revision of the map
+  get type() {
+    return this.tileType;
+  }
+
+  set type(type) {
+    this.tileType = type;
+    this.markChanged();
+  }
+
+  get castle() {
+    return this.tileCastle;
+  }
+
+  set castle(castle) {
+    this.tileCastle = castle;
+    this.markChanged();
+  }
+
+  markChanged() {
+    if (this.mapRevision) {
+      this.mapRevision.count += 1;
+    }
   }
 
   isPassable() {
     return this.type.passable;
   }
 
+  // Cost of moving onto this tile, types without a movementCost count as open ground
+  getMovementCost() {
+    return this.type.movementCost !== undefined ? this.type.movementCost : 1;
+  }
+
   addUnit(unit) {
     this.units.push(unit);
   }
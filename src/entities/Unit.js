@@ -9,6 +9,13 @@ export class Unit {
     this.isMoving = false;
     this.path = [];
     this.pathIndex = 0;
+    this.waypoints = []; // route tiles beyond the current path, refined as the unit gets there
+    this.riskWeight = 0; // how strongly the route avoids enemies, see ThreatSystem
+    this.pathRevision = -1; // map revision the path was last checked against
+    // Orders to carry out once the current leg is done, oldest first:
+    // { type: 'move', x, y, allowPartial } or { type: 'hold', duration } in milliseconds
+    this.orderQueue = [];
+    this.holdTime = 0; // milliseconds left of the hold order being carried out
     this.speed = 1.0; // Will be multiplied by faction speed
   }
 
@@ -29,12 +36,13 @@ export class Unit {
     }
   }
 
-  update(deltaTime, factionSpeed) {
+  // terrainSpeed scales the speed for the segment currently being walked (1 = open ground)
+  update(deltaTime, factionSpeed, terrainSpeed = 1) {
     if (!this.isMoving || this.path.length === 0) {
       return false;
     }
 
-    const actualSpeed = this.speed * factionSpeed;
+    const actualSpeed = this.speed * factionSpeed * terrainSpeed;
     const target = this.path[this.pathIndex];
     const dx = target.x - this.x;
     const dy = target.y - this.y;
@@ -1,7 +1,14 @@
 import Phaser from 'phaser';
 import { GAME_CONFIG } from '../config/GameConfig.js';
 import { MapGenerator } from '../systems/MapGenerator.js';
+import { MapSerializer } from '../systems/MapSerializer.js';
+import { TiledMapLoader } from '../systems/TiledMapLoader.js';
 import { MovementSystem } from '../systems/MovementSystem.js';
+import { PathfindingService } from '../systems/PathfindingService.js';
+import { PATH_STATUS } from '../systems/PathfindingSystem.js';
+
+// How long order feedback stays on screen in milliseconds
+const ORDER_MESSAGE_DURATION = 4000;
 
 export class GameScene extends Phaser.Scene {
   constructor() {
@@ -10,18 +17,37 @@ export class GameScene extends Phaser.Scene {
     this.selectedCastle = null;
     this.selectedUnits = null; // Store selected unit group
     this.selectedTile = null; // Store tile of selected units
+    this.selectedMovingUnit = null; // Moving group to redirect, recall or stop
     this.movementSystem = new MovementSystem();
+    this.pathfindingService = null; // started in create, searches routes off the main thread
     this.graphics = null;
     this.uiText = null;
     this.unitCountTexts = []; // Store text objects for unit counts
     this.eliminatedFactions = new Set(); // Track eliminated factions
     this.gameWon = false; // Track if game has been won
     this.winningFaction = null; // Store winning faction
+    this.requestedSeed = null; // Seed passed in through scene data
+    this.requestedMapData = null; // Hand-crafted map in MapSerializer format
+    this.requestedTiledMap = null; // Tiled editor JSON map
+    this.orderMessage = null; // Feedback such as why the last order was shortened or refused
+    this.pendingOrders = []; // waypoints (shift-click) and holds (H) of the order being given
+    this.split = { fraction: 1 }; // how much of the selection orders send, see getSplitCount
+    this.countEntry = null; // digits typed after N, null when no count is being entered
+    this.streamMode = null; // 'interval' or 'threshold' while the next click sets a stream
+    this.rallyMode = false; // true while the next click sets a rally point
+  }
+
+  init(data) {
+    this.requestedSeed = data && data.seed !== undefined ? data.seed : null;
+    this.requestedMapData = data && data.mapData ? data.mapData : null;
+    this.requestedTiledMap = data && data.tiledMap ? data.tiledMap : null;
   }
 
   create() {
-    // Generate map
-    this.map = MapGenerator.generateMap(GAME_CONFIG.DEFAULT_MAP_SIZE);
+    this.map = this.createMap();
+
+    this.pathfindingService = new PathfindingService();
+    this.events.once('shutdown', () => this.pathfindingService.terminate());
 
     // Create graphics object for rendering
     this.graphics = this.add.graphics();
@@ -30,8 +56,8 @@ export class GameScene extends Phaser.Scene {
     this.cameras.main.setBounds(
       0,
       0,
-      GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE,
-      GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE,
+      this.getMapWidth() * GAME_CONFIG.TILE_SIZE,
+      this.getMapHeight() * GAME_CONFIG.TILE_SIZE,
     );
     this.cameras.main.setZoom(0.8);
 
@@ -57,6 +83,30 @@ export class GameScene extends Phaser.Scene {
     this.wasd = this.input.keyboard.addKeys('W,S,A,D');
     this.cameraSpeed = 300; // pixels per second
 
+    // Export the current map as JSON so it can be edited and loaded again
+    this.onOrderKey('E', this.exportMap);
+
+    // Hold at the last waypoint of the order being given
+    this.onOrderKey('H', this.queueHold);
+
+    // Keys 1 to 4 send a share of the selection, N starts typing an exact number of units
+    ['ONE', 'TWO', 'THREE', 'FOUR'].forEach((key, index) => {
+      const fraction = GAME_CONFIG.ORDERS.SPLIT_FRACTIONS[index];
+      this.onOrderKey(key, () => this.setSplit({ fraction }));
+    });
+    this.input.keyboard.on('keydown-N', this.toggleCountEntry, this);
+    this.input.keyboard.on('keydown', this.handleCountEntryKey, this);
+
+    // Orders for a selected moving group: R sends it back, C stops it where it is
+    this.onOrderKey('R', this.recallSelectedUnit);
+    this.onOrderKey('C', this.cancelSelectedUnit);
+
+    // Stream units from the selected castle to the next clicked tile, or stop its stream
+    this.onOrderKey('T', this.toggleStream);
+
+    // Rally point of the selected castle at the next clicked tile, or remove it
+    this.onOrderKey('F', this.toggleRallyPoint);
+
     // Start game loop
     this.updateProduction();
   }
@@ -74,6 +124,16 @@ export class GameScene extends Phaser.Scene {
 
     // Update movement system
     this.movementSystem.update(delta, this.map);
+    if (this.selectedMovingUnit
+        && !this.movementSystem.getMovingUnits().includes(this.selectedMovingUnit)) {
+      // Arrived or destroyed while selected
+      this.clearSelection();
+    }
+    this.movementSystem.takeEvents().forEach((event) => {
+      if (event.type === 'UNIT_PATH_BLOCKED') {
+        this.showPathBlocked(event);
+      }
+    });
 
     // Check for faction elimination and victory
     this.checkFactionElimination();
@@ -85,6 +145,68 @@ export class GameScene extends Phaser.Scene {
     this.updateUI();
   }
 
+  // Order keys do nothing while a number of units is typed, see handleCountEntryKey
+  onOrderKey(key, handler) {
+    this.input.keyboard.on(`keydown-${key}`, () => {
+      if (this.countEntry === null) {
+        handler.call(this);
+      }
+    });
+  }
+
+  createMap() {
+    if (this.requestedTiledMap) {
+      const map = TiledMapLoader.load(this.requestedTiledMap);
+      console.log(`Loaded Tiled map ${map[0].length}x${map.length}`);
+      return map;
+    }
+
+    if (this.requestedMapData) {
+      const map = MapSerializer.deserialize(this.requestedMapData);
+      console.log(`Loaded map ${map[0].length}x${map.length} from map data`);
+      return map;
+    }
+
+    // Generate map (the seed is kept on the map so it can be shared and replayed)
+    const map = MapGenerator.generateMap(GAME_CONFIG.DEFAULT_MAP_SIZE, {
+      width: GAME_CONFIG.DEFAULT_MAP_WIDTH,
+      height: GAME_CONFIG.DEFAULT_MAP_HEIGHT,
+      seed: this.getRequestedSeed(),
+      neutralCastles: GAME_CONFIG.NEUTRAL_CASTLES.COUNT,
+    });
+    console.log(`Generated map with seed ${map.seed}`);
+    return map;
+  }
+
+  exportMap() {
+    const json = MapSerializer.toJSON(this.map);
+    console.log(json);
+    return json;
+  }
+
+  // Map dimensions in tiles, taken from the map itself so rectangular maps work
+  getMapWidth() {
+    return this.map[0].length;
+  }
+
+  getMapHeight() {
+    return this.map.length;
+  }
+
+  getRequestedSeed() {
+    if (this.requestedSeed !== null) {
+      return this.requestedSeed;
+    }
+
+    // Allow sharing a map through the page URL, e.g. ?seed=map-of-the-day
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed) {
+      return urlSeed;
+    }
+
+    return GAME_CONFIG.MAP_GENERATION.SEED;
+  }
+
   handleClick(pointer) {
     // Disable input if game is won
     if (this.gameWon) {
@@ -97,16 +219,20 @@ export class GameScene extends Phaser.Scene {
     const tileY = Math.floor(worldY / GAME_CONFIG.TILE_SIZE);
 
     // Validate click position
-    if (tileX < 0 || tileX >= GAME_CONFIG.DEFAULT_MAP_SIZE
-        || tileY < 0 || tileY >= GAME_CONFIG.DEFAULT_MAP_SIZE) {
+    if (tileX < 0 || tileX >= this.getMapWidth()
+        || tileY < 0 || tileY >= this.getMapHeight()) {
       return;
     }
 
     const clickedTile = this.map[tileY][tileX];
 
-    if (!this.selectedCastle && !this.selectedUnits) {
-      // First click - select castle or unit group
-      if (clickedTile.castle) {
+    if (!this.selectedCastle && !this.selectedUnits && !this.selectedMovingUnit) {
+      // First click - select castle, unit group or, failing those, a moving group
+      const movingUnit = this.movementSystem.getMovingUnitAt(worldX, worldY);
+      if (clickedTile.castle && clickedTile.castle.isNeutral()) {
+        // Neutral castles take no orders, they have to be captured first
+        console.log(`Neutral castle at (${tileX}, ${tileY}) holds ${clickedTile.castle.unitCount} units - capture it to use it`);
+      } else if (clickedTile.castle) {
         this.selectedCastle = clickedTile.castle;
         const castleFaction = GAME_CONFIG.FACTIONS.find(f => f.id === this.selectedCastle.factionId);
         console.log(`Selected ${castleFaction.name} castle at (${tileX}, ${tileY}) with ${this.selectedCastle.unitCount} units`);
@@ -117,58 +243,271 @@ export class GameScene extends Phaser.Scene {
         const totalUnits = clickedTile.units.reduce((sum, unit) => sum + unit.count, 0);
         const faction = GAME_CONFIG.FACTIONS[clickedTile.units[0].factionId];
         console.log(`Selected ${totalUnits} ${faction.name} units at (${tileX}, ${tileY})`);
+      } else if (movingUnit) {
+        this.selectedMovingUnit = movingUnit;
+        const faction = GAME_CONFIG.FACTIONS[movingUnit.factionId];
+        const { x, y } = movingUnit.destinationTile;
+        console.log(`Selected ${movingUnit.count} ${faction.name} units moving to (${x}, ${y})`);
       }
+    } else if (pointer.event && pointer.event.shiftKey) {
+      // Shift-click adds a waypoint, the order is given with the next plain click
+      this.pendingOrders.push({ type: 'move', x: tileX, y: tileY });
+      console.log(`Waypoint ${this.pendingOrders.length} at (${tileX}, ${tileY})`);
+    } else if (this.rallyMode) {
+      // Second click after F - gather the castle's new units there
+      const castle = this.selectedCastle;
+      if (tileX === castle.x && tileY === castle.y) {
+        console.log('Click another tile for the rally point');
+        return;
+      }
+      castle.setRallyPoint(tileX, tileY);
+      console.log(`Rally point of (${castle.x}, ${castle.y}) set to (${tileX}, ${tileY})`);
+      this.clearSelection();
+    } else if (this.streamMode) {
+      // Second click after T - keep sending the castle's units there
+      const route = this.getOrderLegs(tileX, tileY).filter((order) => order.type === 'move');
+      const options = this.streamMode === 'threshold'
+        ? { threshold: GAME_CONFIG.ORDERS.STREAM_THRESHOLD }
+        : { interval: GAME_CONFIG.ORDERS.STREAM_INTERVAL };
+      this.selectedCastle.setStream(route, options);
+      console.log(`Streaming units from (${this.selectedCastle.x}, ${this.selectedCastle.y}) to (${tileX}, ${tileY})`);
+      this.clearSelection();
+    } else if (this.selectedMovingUnit) {
+      // Second click on the map - send the moving group there instead
+      const [firstLeg, ...orders] = this.getOrderLegs(tileX, tileY);
+      const result = this.movementSystem.redirectUnit(
+        this.selectedMovingUnit,
+        this.map,
+        firstLeg.x,
+        firstLeg.y,
+        {
+          allowPartial: GAME_CONFIG.PATHFINDING.ALLOW_PARTIAL_PATHS,
+          riskWeight: GAME_CONFIG.PATHFINDING.RISK_WEIGHT,
+          orders,
+        },
+      );
+      this.showOrderResult(result);
+      this.clearSelection();
     } else {
-      // Second click - move units
-      if (clickedTile.isPassable()) {
-        let success = false;
-        
-        if (this.selectedCastle) {
-          // Moving from castle - send all units
-          const unitCount = Math.floor(this.selectedCastle.unitCount / 1) || 1;
-          success = this.movementSystem.moveUnits(
-            this.map,
-            this.selectedCastle.x,
-            this.selectedCastle.y,
-            tileX,
-            tileY,
-            unitCount,
-          );
-          
-          if (success) {
-            const castleFaction = GAME_CONFIG.FACTIONS.find(f => f.id === this.selectedCastle.factionId);
-            console.log(`Moved ${unitCount} ${castleFaction.name} units from castle (${this.selectedCastle.x}, ${this.selectedCastle.y}) to (${tileX}, ${tileY})`);
+      // Second click - move units. The route is searched off the main thread
+      let origin = null;
+      let factionId = null;
+
+      if (this.selectedCastle) {
+        // Moving from castle
+        origin = this.selectedCastle;
+        factionId = this.selectedCastle.factionId;
+      } else if (this.selectedUnits) {
+        // Moving unit group
+        origin = this.selectedTile;
+        factionId = this.selectedUnits[0].factionId;
+      }
+      // Only the chosen share of the garrison or group leaves
+      const unitCount = this.movementSystem.getSplitCount(this.getSelectedUnitCount(), this.split);
+
+      if (origin) {
+        const fromX = origin.x;
+        const fromY = origin.y;
+        const orderOptions = {
+          allowPartial: GAME_CONFIG.PATHFINDING.ALLOW_PARTIAL_PATHS,
+          riskWeight: GAME_CONFIG.PATHFINDING.RISK_WEIGHT,
+          // A newer order from the same tile replaces one still waiting for its route
+          channel: `order-${fromX},${fromY}`,
+        };
+        const [firstLeg, ...orders] = this.getOrderLegs(tileX, tileY);
+        orderOptions.orders = orders;
+
+        this.movementSystem.issueMoveOrderAsync(
+          this.pathfindingService,
+          this.map,
+          fromX,
+          fromY,
+          firstLeg.x,
+          firstLeg.y,
+          unitCount,
+          orderOptions,
+        ).then((result) => {
+          if (result.success) {
+            const faction = GAME_CONFIG.FACTIONS.find(f => f.id === factionId);
+            console.log(`Moved ${unitCount} ${faction.name} units from (${fromX}, ${fromY}) to (${result.destination.x}, ${result.destination.y})`);
           }
-        } else if (this.selectedUnits) {
-          // Moving unit group
-          const totalUnits = this.selectedUnits.reduce((sum, unit) => sum + unit.count, 0);
-          success = this.movementSystem.moveUnits(
-            this.map,
-            this.selectedTile.x,
-            this.selectedTile.y,
-            tileX,
-            tileY,
-            totalUnits,
-          );
-          
-          if (success) {
-            const unitFaction = GAME_CONFIG.FACTIONS.find(f => f.id === this.selectedUnits[0].factionId);
-            console.log(`Moved ${totalUnits} ${unitFaction.name} units from (${this.selectedTile.x}, ${this.selectedTile.y}) to (${tileX}, ${tileY})`);
+          if (result.status !== PATH_STATUS.CANCELLED) {
+            this.showOrderResult(result);
           }
-        }
+        }).catch((error) => this.showOrderError(error));
+      }
 
-        if (!success) {
-          console.log('Movement failed - no valid path or insufficient units');
-        }
-      } else {
-        console.log('Cannot move to impassable tile');
+      this.clearSelection();
+      // Exact numbers are for one order, shares stay until changed
+      if (this.split.count !== undefined) {
+        this.split = { fraction: 1 };
+      }
+    }
+  }
+
+  // Orders for a click on a tile: the pending waypoints first, the group ends up on the tile
+  getOrderLegs(tileX, tileY) {
+    const allowPartial = GAME_CONFIG.PATHFINDING.ALLOW_PARTIAL_PATHS;
+    return [...this.pendingOrders, { type: 'move', x: tileX, y: tileY }]
+      .map((order) => (order.type === 'move' ? { ...order, allowPartial } : order));
+  }
+
+  // Deselect everything
+  clearSelection() {
+    this.selectedCastle = null;
+    this.selectedUnits = null;
+    this.selectedTile = null;
+    this.selectedMovingUnit = null;
+    this.pendingOrders = [];
+    this.streamMode = null;
+    this.rallyMode = false;
+  }
+
+  toggleRallyPoint() {
+    const castle = this.selectedCastle;
+    if (!castle) {
+      return;
+    }
+
+    if (castle.rallyPoint) {
+      castle.clearRallyPoint();
+      console.log(`Removed the rally point of (${castle.x}, ${castle.y})`);
+      this.clearSelection();
+      return;
+    }
+    this.streamMode = null;
+    this.rallyMode = true;
+    console.log('Click the tile to rally new units on');
+  }
+
+  toggleStream(event) {
+    const castle = this.selectedCastle;
+    if (!castle) {
+      return;
+    }
+
+    if (castle.stream) {
+      castle.clearStream();
+      console.log(`Stopped the unit stream from (${castle.x}, ${castle.y})`);
+      this.clearSelection();
+      return;
+    }
+    this.rallyMode = false;
+    this.streamMode = event && event.shiftKey ? 'threshold' : 'interval';
+    console.log('Click the tile to stream units to');
+  }
+
+  recallSelectedUnit() {
+    if (!this.selectedMovingUnit) {
+      return;
+    }
+    const result = this.movementSystem.recallUnit(this.selectedMovingUnit, this.map, {
+      allowPartial: GAME_CONFIG.PATHFINDING.ALLOW_PARTIAL_PATHS,
+    });
+    this.showOrderResult(result);
+    this.clearSelection();
+  }
+
+  cancelSelectedUnit() {
+    if (!this.selectedMovingUnit) {
+      return;
+    }
+    this.showOrderResult(this.movementSystem.cancelOrder(this.selectedMovingUnit, this.map));
+    this.clearSelection();
+  }
+
+  // Units the current selection could send
+  getSelectedUnitCount() {
+    if (this.selectedCastle) {
+      return this.selectedCastle.unitCount;
+    }
+    if (this.selectedUnits) {
+      return this.selectedUnits.reduce((sum, unit) => sum + unit.count, 0);
+    }
+    return 0;
+  }
+
+  setSplit(split) {
+    this.split = split;
+    const text = split.count !== undefined
+      ? `${split.count} units`
+      : `${Math.round(split.fraction * 100)}%`;
+    console.log(`Orders send ${text}`);
+  }
+
+  // N starts typing a number of units, pressing it again gives up
+  toggleCountEntry() {
+    this.countEntry = this.countEntry === null ? '' : null;
+  }
+
+  // While a count is typed: digits, Backspace, Enter to use it and Escape (or Enter with
+  // nothing typed) to give up
+  handleCountEntryKey(event) {
+    if (this.countEntry === null) {
+      return;
+    }
+
+    if (/^[0-9]$/.test(event.key)) {
+      this.countEntry += event.key;
+    } else if (event.key === 'Backspace') {
+      this.countEntry = this.countEntry.slice(0, -1);
+    } else if (event.key === 'Enter') {
+      const entry = this.countEntry;
+      this.countEntry = null;
+      // Nothing typed gives up like Escape
+      if (entry === '') {
+        return;
+      }
+      const count = Number(entry);
+      if (count < 1) {
+        this.showMessage('Type a number of units above 0');
+        return;
       }
+      this.setSplit({ count });
+    } else if (event.key === 'Escape') {
+      this.countEntry = null;
+    }
+  }
+
+  queueHold() {
+    const last = this.pendingOrders[this.pendingOrders.length - 1];
+    if (!last || last.type !== 'move') {
+      console.log('Shift-click a waypoint to hold at first');
+      return;
+    }
+
+    this.pendingOrders.push({ type: 'hold', duration: GAME_CONFIG.ORDERS.HOLD_DURATION });
+    console.log(`Holding at (${last.x}, ${last.y}) for ${GAME_CONFIG.ORDERS.HOLD_DURATION / 1000}s`);
+  }
 
-      // Deselect everything
-      this.selectedCastle = null;
-      this.selectedUnits = null;
-      this.selectedTile = null;
+  // Tell the player when an order was shortened or refused
+  showOrderResult(result) {
+    if (!result.reason) {
+      this.orderMessage = null;
+      return;
     }
+
+    const prefix = result.success ? 'Order shortened' : 'Order refused';
+    this.showMessage(`${prefix}: ${result.reason}`);
+  }
+
+  // Orders found in the background can fail after the click, by then only a message is left
+  showOrderError(error) {
+    console.error('❌ Order failed:', error);
+    this.showMessage(`Order failed: ${error.message}`);
+  }
+
+  // Tell the player when units had to stop because their route was cut off
+  showPathBlocked(event) {
+    const { unit, tile, destination } = event;
+    const faction = GAME_CONFIG.FACTIONS.find((f) => f.id === unit.factionId);
+    const route = `Route to (${destination.x}, ${destination.y}) blocked`;
+    this.showMessage(`${route}: ${unit.count} ${faction.name} units stopped at (${tile.x}, ${tile.y})`);
+  }
+
+  // Feedback below the status text for a few seconds
+  showMessage(text) {
+    this.orderMessage = { text, expiresAt: this.time.now + ORDER_MESSAGE_DURATION };
   }
 
   handleCameraMovement(delta) {
@@ -190,8 +529,8 @@ export class GameScene extends Phaser.Scene {
     }
 
     // Keep camera within map bounds
-    const mapWidth = GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE;
-    const mapHeight = GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE;
+    const mapWidth = this.getMapWidth() * GAME_CONFIG.TILE_SIZE;
+    const mapHeight = this.getMapHeight() * GAME_CONFIG.TILE_SIZE;
     const cameraWidth = camera.width / this.currentZoom;
     const cameraHeight = camera.height / this.currentZoom;
 
@@ -209,6 +548,18 @@ export class GameScene extends Phaser.Scene {
   }
 
   handleZoom(pointer, gameObjects, deltaX, deltaY, deltaZ) {
+    // With something selected the wheel moves the split slider instead: up sends more
+    if (this.selectedCastle || this.selectedUnits) {
+      const { SPLIT_STEP } = GAME_CONFIG.ORDERS;
+      const current = this.split.count !== undefined
+        ? this.split.count / Math.max(1, this.getSelectedUnitCount())
+        : this.split.fraction;
+      // Snapped to whole steps so that repeated scrolling does not drift
+      const steps = Math.round(Math.min(1, current) / SPLIT_STEP) + (deltaY > 0 ? -1 : 1);
+      this.setSplit({ fraction: Phaser.Math.Clamp(steps * SPLIT_STEP, SPLIT_STEP, 1) });
+      return;
+    }
+
     // Zoom out on wheel up, zoom in on wheel down
     const zoomDelta = deltaY > 0 ? -0.1 : 0.1;
     const newZoom = Phaser.Math.Clamp(this.currentZoom + zoomDelta, this.minZoom, this.maxZoom);
@@ -228,8 +579,8 @@ export class GameScene extends Phaser.Scene {
     this.unitCountTexts = [];
 
     // Render tiles
-    for (let y = 0; y < GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
-      for (let x = 0; x < GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let y = 0; y < this.getMapHeight(); y++) {
+      for (let x = 0; x < this.getMapWidth(); x++) {
         const tile = this.map[y][x];
         const pixelX = x * GAME_CONFIG.TILE_SIZE;
         const pixelY = y * GAME_CONFIG.TILE_SIZE;
@@ -240,8 +591,10 @@ export class GameScene extends Phaser.Scene {
 
         // Draw castle
         if (tile.castle) {
-          const faction = GAME_CONFIG.FACTIONS[tile.castle.factionId];
-          this.graphics.fillStyle(faction.color);
+          const castleColor = tile.castle.isNeutral()
+            ? GAME_CONFIG.NEUTRAL_CASTLES.COLOR
+            : GAME_CONFIG.FACTIONS[tile.castle.factionId].color;
+          this.graphics.fillStyle(castleColor);
 
           // Draw castle as a larger square
           const castleSize = GAME_CONFIG.TILE_SIZE * 0.8;
@@ -335,6 +688,14 @@ export class GameScene extends Phaser.Scene {
       const faction = GAME_CONFIG.FACTIONS[unit.factionId];
       this.graphics.fillStyle(faction.color);
       this.graphics.fillCircle(unit.x + GAME_CONFIG.TILE_SIZE / 2, unit.y + GAME_CONFIG.TILE_SIZE / 2, 8);
+      if (unit === this.selectedMovingUnit) {
+        this.graphics.lineStyle(3, 0xFFFFFF);
+        this.graphics.strokeCircle(
+          unit.x + GAME_CONFIG.TILE_SIZE / 2,
+          unit.y + GAME_CONFIG.TILE_SIZE / 2,
+          11,
+        );
+      }
 
       // Add unit count text inside moving unit circle
       const movingUnitText = this.add.text(
@@ -352,21 +713,118 @@ export class GameScene extends Phaser.Scene {
       );
       movingUnitText.setOrigin(0.5, 0.5);
       this.unitCountTexts.push(movingUnitText);
+
+      // Show the time left until the unit arrives
+      const eta = this.movementSystem.estimateTravelTime(unit, this.map);
+      const etaText = this.add.text(
+        unit.x + GAME_CONFIG.TILE_SIZE / 2,
+        unit.y + GAME_CONFIG.TILE_SIZE / 2 + 12,
+        `${(eta / 1000).toFixed(1)}s`,
+        {
+          fontSize: '9px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          stroke: '#000000',
+          strokeThickness: 2,
+        },
+      );
+      etaText.setOrigin(0.5, 0.5);
+      this.unitCountTexts.push(etaText);
     });
 
+    this.renderOrderQueues(movingUnits);
+    this.renderRallyPoints();
+
     // Draw grid
     this.graphics.lineStyle(1, 0x444444, 0.5);
-    for (let x = 0; x <= GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let x = 0; x <= this.getMapWidth(); x++) {
       this.graphics.moveTo(x * GAME_CONFIG.TILE_SIZE, 0);
-      this.graphics.lineTo(x * GAME_CONFIG.TILE_SIZE, GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE);
+      this.graphics.lineTo(x * GAME_CONFIG.TILE_SIZE, this.getMapHeight() * GAME_CONFIG.TILE_SIZE);
     }
-    for (let y = 0; y <= GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
+    for (let y = 0; y <= this.getMapHeight(); y++) {
       this.graphics.moveTo(0, y * GAME_CONFIG.TILE_SIZE);
-      this.graphics.lineTo(GAME_CONFIG.DEFAULT_MAP_SIZE * GAME_CONFIG.TILE_SIZE, y * GAME_CONFIG.TILE_SIZE);
+      this.graphics.lineTo(this.getMapWidth() * GAME_CONFIG.TILE_SIZE, y * GAME_CONFIG.TILE_SIZE);
     }
     this.graphics.strokePath();
   }
 
+  // Text slider of how much the next order sends, e.g. "Send [#####-----] 12 of 24 units"
+  getSplitSlider() {
+    const available = this.getSelectedUnitCount();
+    const count = Math.min(available, this.movementSystem.getSplitCount(available, this.split));
+    const filled = available > 0 ? Math.round((count / available) * 10) : 0;
+    return `Send [${'#'.repeat(filled)}${'-'.repeat(10 - filled)}] ${count} of ${available} units`;
+  }
+
+  // A flag in the owner's colour on every rally point, linked to its castle by a faint line
+  renderRallyPoints() {
+    const size = GAME_CONFIG.TILE_SIZE;
+    this.map.forEach((row) => row.forEach(({ castle }) => {
+      if (!castle || !castle.rallyPoint) {
+        return;
+      }
+
+      const { color } = GAME_CONFIG.FACTIONS[castle.factionId];
+      const poleX = castle.rallyPoint.x * size + size * 0.3;
+      const top = castle.rallyPoint.y * size + size * 0.15;
+      const bottom = castle.rallyPoint.y * size + size * 0.85;
+      const center = size / 2;
+
+      this.graphics.lineStyle(1, color, 0.4);
+      this.graphics.lineBetween(castle.x * size + center, castle.y * size + center, poleX, bottom);
+
+      this.graphics.lineStyle(2, 0xFFFFFF);
+      this.graphics.lineBetween(poleX, top, poleX, bottom);
+      this.graphics.fillStyle(color);
+      this.graphics.fillTriangle(
+        poleX,
+        top,
+        poleX + size * 0.45,
+        top + size * 0.15,
+        poleX,
+        top + size * 0.3,
+      );
+    }));
+  }
+
+  // Lines along the waypoints still ahead of moving groups and of the order being given
+  renderOrderQueues(movingUnits) {
+    const center = (point) => ({
+      x: point.x * GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SIZE / 2,
+      y: point.y * GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SIZE / 2,
+    });
+    const drawRoute = (points, color) => {
+      this.graphics.lineStyle(2, color, 0.6);
+      points.map(center).forEach((point, index, centers) => {
+        if (index > 0) {
+          this.graphics.lineBetween(centers[index - 1].x, centers[index - 1].y, point.x, point.y);
+        }
+        this.graphics.strokeCircle(point.x, point.y, 4);
+      });
+    };
+
+    this.map.forEach((row) => row.forEach(({ castle }) => {
+      if (castle && castle.stream) {
+        drawRoute([castle, ...castle.stream.route], GAME_CONFIG.FACTIONS[castle.factionId].color);
+      }
+    }));
+
+    movingUnits.forEach((unit) => {
+      const legs = unit.orderQueue.filter((order) => order.type === 'move');
+      if (legs.length > 0) {
+        drawRoute([unit.destinationTile, ...legs], GAME_CONFIG.FACTIONS[unit.factionId].color);
+      }
+    });
+
+    const origin = this.selectedMovingUnit
+      ? this.movementSystem.getUnitTile(this.selectedMovingUnit)
+      : this.selectedCastle || this.selectedTile;
+    const waypoints = this.pendingOrders.filter((order) => order.type === 'move');
+    if (origin && waypoints.length > 0) {
+      drawRoute([origin, ...waypoints], 0xFFFFFF);
+    }
+  }
+
   updateUI() {
     let uiText = 'Strategy Game\n';
     
@@ -375,11 +833,18 @@ export class GameScene extends Phaser.Scene {
       uiText += 'Game Over - Refresh page to play again\n\n';
     } else {
       uiText += 'Click castle to select, click destination to move units\n';
-      uiText += `Mouse wheel: Zoom (${this.currentZoom.toFixed(1)}x) | WASD: Move camera\n\n`;
+      uiText += `Mouse wheel: Zoom (${this.currentZoom.toFixed(1)}x) | WASD: Move camera\n`;
+      uiText += 'Shift-click: Add waypoint | H: Hold at last waypoint\n';
+      uiText += '1-4: Send 25/50/75/100% | Wheel on selection: Adjust | N: Send exact number\n';
+      uiText += 'E: Export map as JSON (browser console)\n';
+    }
+    if (this.map.seed !== undefined) {
+      uiText += `Map seed: ${this.map.seed}\n`;
     }
+    uiText += '\n';
 
     // Show faction info
-    GAME_CONFIG.FACTIONS.forEach((faction) => {
+    this.map.factions.forEach((faction) => {
       const castles = this.getAllCastlesForFaction(faction.id);
       const totalUnits = this.getTotalUnitsForFaction(faction.id);
       
@@ -390,13 +855,52 @@ export class GameScene extends Phaser.Scene {
       }
     });
 
+    const neutralCastles = this.getAllCastlesForFaction(null);
+    if (neutralCastles.length > 0) {
+      uiText += `Neutral: ${neutralCastles.length} castles to capture\n`;
+    }
+
     if (this.selectedCastle) {
       const faction = GAME_CONFIG.FACTIONS[this.selectedCastle.factionId];
       uiText += `\nSelected: ${faction.name} castle (${this.selectedCastle.unitCount} units)`;
+      const { stream } = this.selectedCastle;
+      if (stream) {
+        const target = stream.route[stream.route.length - 1];
+        uiText += `\nStreaming to (${target.x}, ${target.y}) - T: Stop stream`;
+      } else if (this.streamMode) {
+        uiText += '\nClick the tile to stream units to';
+      } else {
+        uiText += '\nT: Stream units (Shift+T: only beyond the garrison kept home)';
+      }
+      const { rallyPoint } = this.selectedCastle;
+      if (rallyPoint) {
+        uiText += `\nRally point (${rallyPoint.x}, ${rallyPoint.y}) - F: Remove`;
+      } else if (this.rallyMode) {
+        uiText += '\nClick the tile to rally new units on';
+      } else {
+        uiText += '\nF: Set rally point';
+      }
     } else if (this.selectedUnits) {
       const totalUnits = this.selectedUnits.reduce((sum, unit) => sum + unit.count, 0);
       const faction = GAME_CONFIG.FACTIONS[this.selectedUnits[0].factionId];
       uiText += `\nSelected: ${totalUnits} ${faction.name} units at (${this.selectedTile.x}, ${this.selectedTile.y})`;
+    } else if (this.selectedMovingUnit) {
+      const unit = this.selectedMovingUnit;
+      const faction = GAME_CONFIG.FACTIONS[unit.factionId];
+      const { x, y } = unit.destinationTile;
+      uiText += `\nSelected: ${unit.count} ${faction.name} units moving to (${x}, ${y})`;
+      uiText += '\nClick: Redirect | R: Recall | C: Stop here';
+    }
+    if (this.selectedCastle || this.selectedUnits) {
+      uiText += `\n${this.getSplitSlider()}`;
+    }
+    if (this.countEntry !== null) {
+      uiText += `\nUnits to send: ${this.countEntry}_ (Enter: Confirm | Esc: Cancel)`;
+    }
+
+    // Feedback for the last order, shown for a few seconds
+    if (this.orderMessage && this.time.now < this.orderMessage.expiresAt) {
+      uiText += `\n${this.orderMessage.text}`;
     }
 
     this.uiText.setText(uiText);
@@ -409,8 +913,8 @@ export class GameScene extends Phaser.Scene {
     }
 
     // Update all castles
-    for (let y = 0; y < GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
-      for (let x = 0; x < GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let y = 0; y < this.getMapHeight(); y++) {
+      for (let x = 0; x < this.getMapWidth(); x++) {
         const tile = this.map[y][x];
         if (tile.castle) {
           tile.castle.update();
@@ -418,14 +922,32 @@ export class GameScene extends Phaser.Scene {
       }
     }
 
+    // Castles with a stream send their new units on, castles with a rally point what they
+    // produce beyond their garrison
+    const streamOptions = {
+      allowPartial: GAME_CONFIG.PATHFINDING.ALLOW_PARTIAL_PATHS,
+      riskWeight: GAME_CONFIG.PATHFINDING.RISK_WEIGHT,
+    };
+    const showRefused = (dispatches) => dispatches.forEach(({ result }) => {
+      if (!result.success && result.status !== PATH_STATUS.CANCELLED) {
+        this.showOrderResult(result);
+      }
+    });
+    this.movementSystem.dispatchStreams(this.pathfindingService, this.map, streamOptions)
+      .then(showRefused)
+      .catch((error) => this.showOrderError(error));
+    this.movementSystem.dispatchRallyPoints(this.pathfindingService, this.map, streamOptions)
+      .then(showRefused)
+      .catch((error) => this.showOrderError(error));
+
     // Schedule next update
     this.time.delayedCall(GAME_CONFIG.PRODUCTION.INTERVAL, () => this.updateProduction());
   }
 
   getAllCastlesForFaction(factionId) {
     const castles = [];
-    for (let y = 0; y < GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
-      for (let x = 0; x < GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let y = 0; y < this.getMapHeight(); y++) {
+      for (let x = 0; x < this.getMapWidth(); x++) {
         const { castle } = this.map[y][x];
         if (castle && castle.factionId === factionId) {
           castles.push(castle);
@@ -439,8 +961,8 @@ export class GameScene extends Phaser.Scene {
     let total = 0;
 
     // Count castle units
-    for (let y = 0; y < GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
-      for (let x = 0; x < GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let y = 0; y < this.getMapHeight(); y++) {
+      for (let x = 0; x < this.getMapWidth(); x++) {
         const tile = this.map[y][x];
         if (tile.castle && tile.castle.factionId === factionId) {
           total += tile.castle.unitCount;
@@ -462,7 +984,8 @@ export class GameScene extends Phaser.Scene {
   }
 
   checkFactionElimination() {
-    GAME_CONFIG.FACTIONS.forEach((faction) => {
+    // Only factions taking part in this map can be eliminated
+    this.map.factions.forEach((faction) => {
       // Skip already eliminated factions
       if (this.eliminatedFactions.has(faction.id)) {
         return;
@@ -486,12 +1009,15 @@ export class GameScene extends Phaser.Scene {
         
         // Clear selection if eliminated faction was selected
         if (this.selectedCastle && this.selectedCastle.factionId === faction.id) {
-          this.selectedCastle = null;
+          this.clearSelection();
         }
         if (this.selectedUnits && this.selectedUnits.length > 0 && this.selectedUnits[0].factionId === faction.id) {
           this.selectedUnits = null;
           this.selectedTile = null;
         }
+        if (this.selectedMovingUnit && this.selectedMovingUnit.factionId === faction.id) {
+          this.selectedMovingUnit = null;
+        }
       }
     });
 
@@ -506,11 +1032,11 @@ export class GameScene extends Phaser.Scene {
     }
 
     // Count surviving factions (those with at least one castle)
-    const survivingFactions = GAME_CONFIG.FACTIONS.filter(faction => {
+    const survivingFactions = this.map.factions.filter(faction => {
       return !this.eliminatedFactions.has(faction.id);
     });
 
-    // Victory condition: only one faction remains
+    // Victory condition: only one faction remains (uncaptured neutral castles don't count)
     if (survivingFactions.length === 1) {
       this.winningFaction = survivingFactions[0];
       this.gameWon = true;
@@ -521,16 +1047,14 @@ export class GameScene extends Phaser.Scene {
       this.showVictoryNotification();
       
       // Clear any selections
-      this.selectedCastle = null;
-      this.selectedUnits = null;
-      this.selectedTile = null;
+      this.clearSelection();
     }
   }
 
   removeAllUnitsForFaction(factionId) {
     // Remove all tile units for this faction
-    for (let y = 0; y < GAME_CONFIG.DEFAULT_MAP_SIZE; y++) {
-      for (let x = 0; x < GAME_CONFIG.DEFAULT_MAP_SIZE; x++) {
+    for (let y = 0; y < this.getMapHeight(); y++) {
+      for (let x = 0; x < this.getMapWidth(); x++) {
         const tile = this.map[y][x];
         tile.units = tile.units.filter(unit => unit.factionId !== factionId);
       }
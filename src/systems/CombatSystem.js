@@ -3,6 +3,9 @@ import { GAME_CONFIG } from '../config/GameConfig.js';
 export class CombatSystem {
   // Helper function to get faction name by ID
   static getFactionName(factionId) {
+    if (factionId === null) {
+      return 'Neutral';
+    }
     const faction = GAME_CONFIG.FACTIONS.find(f => f.id === factionId);
     return faction ? faction.name : `Faction ${factionId}`;
   }
@@ -92,7 +95,8 @@ export class CombatSystem {
     const castleFaction = tile.castle ? tile.castle.factionId : null;
 
     // Add castle faction to the list if it exists and is different
-    if (castleFaction !== null && !factions.includes(castleFaction)) {
+    // (a neutral castle takes part as faction null and defends with its garrison)
+    if (tile.castle && !factions.includes(castleFaction)) {
       factions.push(castleFaction);
     }
 
@@ -304,6 +308,7 @@ export class CombatSystem {
       const oldCastleUnits = tile.castle.unitCount;
       tile.castle.factionId = winningAttackerFaction;
       tile.castle.unitCount = survivingAttackers;
+      this.clearStandingOrders(tile.castle);
       
       // Clear all units from tile (attackers are now in the castle)
       tile.units = [];
@@ -494,6 +499,7 @@ export class CombatSystem {
         console.log(`   New owner: ${this.getFactionName(winningFaction)} (${winningFaction}) with ${survivors} units`);
         tile.castle.factionId = winningFaction;
         tile.castle.unitCount = survivors;
+        this.clearStandingOrders(tile.castle);
       } else if (tile.castle && tile.castle.factionId === winningFaction) {
         // Castle defended successfully, update unit count
         console.log(`🛡️ CASTLE DEFENDED SUCCESSFULLY!`);
@@ -532,6 +538,15 @@ export class CombatSystem {
     return combatResults;
   }
 
+  // A conquered castle's stream and rally point were orders of its old owner
+  static clearStandingOrders(castle) {
+    if (castle.stream || castle.rallyPoint) {
+      console.log(`🚫 Castle at (${castle.x}, ${castle.y}) changed hands, its stream and rally point are removed`);
+    }
+    castle.stream = null;
+    castle.rallyPoint = null;
+  }
+
   static mergeSameFactionUnits(tile, factionId) {
     const factionUnits = tile.getUnitsForFaction(factionId);
 
@@ -0,0 +1,123 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { PathfindingSystem } from './PathfindingSystem.js';
+import { BinaryHeap } from '../utils/BinaryHeap.js';
+
+// Steps as x and y offsets, the four orthogonal ones first (same order as PathfindingSystem)
+const DIRECTION_X = [0, 1, 0, -1, 1, 1, -1, -1];
+const DIRECTION_Y = [-1, 0, 1, 0, -1, 1, 1, -1];
+const ORTHOGONAL_DIRECTIONS = 4;
+
+// Flow fields per map, dropped when the map revision changes
+const flowFieldCaches = new WeakMap();
+
+// Flow fields for sending many groups to one target. A single Dijkstra search outward from
+// the target gives every tile its travel cost to the target and the neighbour to step to
+// next, so any number of units can follow the field without a search of their own.
+export class FlowFieldSystem {
+  // Flow field towards (targetX, targetY) for the current map revision, null when the target
+  // is outside the map or impassable. Options: diagonal and cornerCutting as for
+  // PathfindingSystem.findPathResult.
+  static getFlowField(map, targetX, targetY, options = {}) {
+    if (!PathfindingSystem.isValidPosition(map, targetX, targetY)
+        || (!map[targetY][targetX].isPassable() && !map[targetY][targetX].castle)) {
+      return null;
+    }
+
+    const rules = PathfindingSystem.getMovementRules(options);
+    const revision = PathfindingSystem.getMapRevision(map);
+    let cache = flowFieldCaches.get(map);
+    if (!cache || cache.revision !== revision) {
+      cache = { revision, fields: new Map() };
+      flowFieldCaches.set(map, cache);
+    }
+
+    const key = [targetX, targetY, rules.diagonal, rules.cornerCutting].join(',');
+    if (!cache.fields.has(key)) {
+      if (cache.fields.size >= GAME_CONFIG.PATHFINDING.FLOW_FIELD_CACHE_SIZE) {
+        cache.fields.delete(cache.fields.keys().next().value);
+      }
+      cache.fields.set(key, this.createFlowField(map, targetX, targetY, rules));
+    }
+    return cache.fields.get(key);
+  }
+
+  // Integration field: distances holds the travel cost from each tile to the target
+  // (Infinity when it cannot be reached) and next the tile index to step to from there
+  static createFlowField(map, targetX, targetY, rules) {
+    const grid = PathfindingSystem.getCostGrid(map);
+    const { width, height, costs } = grid;
+    const nodeCount = width * height;
+    const distances = new Float64Array(nodeCount).fill(Infinity);
+    const next = new Int32Array(nodeCount).fill(-1);
+    const openSet = new BinaryHeap(nodeCount);
+    const directionCount = rules.diagonal ? DIRECTION_X.length : ORTHOGONAL_DIRECTIONS;
+
+    const targetIndex = targetY * width + targetX;
+    distances[targetIndex] = 0;
+    openSet.push(targetIndex, 0);
+
+    while (!openSet.isEmpty()) {
+      const current = openSet.pop();
+      const currentX = current % width;
+      const currentY = (current - currentX) / width;
+
+      // Look at the neighbours that could step onto the current tile
+      for (let dir = 0; dir < directionCount; dir++) {
+        const dx = DIRECTION_X[dir];
+        const dy = DIRECTION_Y[dir];
+        const neighborX = currentX + dx;
+        const neighborY = currentY + dy;
+
+        if (neighborX >= 0 && neighborX < width && neighborY >= 0 && neighborY < height) {
+          const neighbor = neighborY * width + neighborX;
+          const isDiagonal = dir >= ORTHOGONAL_DIRECTIONS;
+          const canStep = costs[neighbor] >= 0 && (!isDiagonal || PathfindingSystem
+            .canStepDiagonally(grid, neighborX, neighborY, -dx, -dy, rules.cornerCutting));
+
+          if (canStep) {
+            const distance = distances[current] + costs[current] * (isDiagonal ? Math.SQRT2 : 1);
+            if (distance < distances[neighbor]) {
+              distances[neighbor] = distance;
+              next[neighbor] = current;
+              openSet.push(neighbor, distance);
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      targetX, targetY, width, height, distances, next,
+    };
+  }
+
+  // Travel cost from (x, y) to the field's target, Infinity when it cannot be reached
+  static getDistance(field, x, y) {
+    return field.distances[y * field.width + x];
+  }
+
+  // Tile to step to from (x, y), null at the target or when the target cannot be reached
+  static getNextStep(field, x, y) {
+    const next = field.next[y * field.width + x];
+    if (next === -1) {
+      return null;
+    }
+    return { x: next % field.width, y: Math.floor(next / field.width) };
+  }
+
+  // Path from (x, y) to the target following the field (start excluded), empty when the
+  // target cannot be reached. Same format as PathfindingSystem.findPath.
+  static getPath(field, x, y) {
+    const path = [];
+    let step = this.getNextStep(field, x, y);
+    while (step) {
+      path.push(step);
+      step = this.getNextStep(field, step.x, step.y);
+    }
+    return path;
+  }
+
+  static clearCache(map) {
+    flowFieldCaches.delete(map);
+  }
+}
@@ -0,0 +1,401 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { PathfindingSystem, PATH_STATUS } from './PathfindingSystem.js';
+import { BinaryHeap } from '../utils/BinaryHeap.js';
+
+// Steps as x and y offsets, the four orthogonal ones first (same order as PathfindingSystem)
+const DIRECTION_X = [0, 1, 0, -1, 1, 1, -1, -1];
+const DIRECTION_Y = [-1, 0, 1, 0, -1, 1, 1, -1];
+const ORTHOGONAL_DIRECTIONS = 4;
+
+// Openings along a cluster border at least this long get a transition at both ends,
+// shorter ones a single transition in the middle
+const ENTRANCE_SPLIT_LENGTH = 6;
+
+const DEFAULT_MAX_TIME = GAME_CONFIG.ANIMATION.PATHFINDING_MAX_TIME;
+
+// Abstract graphs per map, dropped when the map revision changes
+const graphCaches = new WeakMap();
+
+// Hierarchical pathfinding (HPA*) for large maps. The map is split into square clusters,
+// the openings between neighbouring clusters become graph nodes, and nodes of the same
+// cluster are linked by their precomputed travel costs. A query searches that small graph
+// and the resulting waypoints are refined into tiles by PathfindingSystem one segment at a
+// time, so a unit only pays for the part of the route it is about to walk.
+export class HierarchicalPathfinder {
+  // Same interface as PathfindingSystem.findPath
+  static findPath(map, startX, startY, endX, endY, maxTime = DEFAULT_MAX_TIME, options = {}) {
+    return this.findPathResult(map, startX, startY, endX, endY, {
+      ...options, maxTime, allowPartial: false,
+    }).path;
+  }
+
+  // Same interface as PathfindingSystem.findPathResult, with every segment refined. expanded
+  // counts the route search and the segment searches together.
+  static findPathResult(map, startX, startY, endX, endY, options = {}) {
+    const route = this.findRoute(map, startX, startY, endX, endY, options);
+    const path = [];
+    let { expanded } = route;
+    let from = { x: startX, y: startY };
+
+    for (let i = 0; i < route.waypoints.length; i++) {
+      const segment = PathfindingSystem.findPathResult(
+        map,
+        from.x,
+        from.y,
+        route.waypoints[i].x,
+        route.waypoints[i].y,
+        { ...options, allowPartial: false },
+      );
+      expanded += segment.expanded;
+      if (segment.path.length === 0) {
+        // The abstract graph promised a route the tiles do not have, search directly
+        const result = PathfindingSystem.findPathResult(map, startX, startY, endX, endY, options);
+        return { ...result, expanded: expanded + result.expanded };
+      }
+      path.push(...segment.path);
+      from = route.waypoints[i];
+    }
+
+    return PathfindingSystem.createResult(route.status, path, route.end.x, route.end.y, expanded);
+  }
+
+  // Abstract route as { status, waypoints, end, expanded }: waypoints are tiles along the route
+  // (start excluded, end included) with neighbouring waypoints at most one cluster apart,
+  // expanded counts the graph nodes and tiles searched to find them.
+  // Takes the same options as PathfindingSystem.findPathResult.
+  static findRoute(map, startX, startY, endX, endY, options = {}) {
+    const rules = PathfindingSystem.getMovementRules(options);
+    const isReachableTarget = PathfindingSystem.isValidPosition(map, startX, startY)
+      && PathfindingSystem.isValidPosition(map, endX, endY)
+      && (map[endY][endX].isPassable() || map[endY][endX].castle);
+
+    let expanded = 0;
+    if (isReachableTarget) {
+      const graph = this.getGraph(map, rules);
+      const search = this.searchGraph(graph, startX, startY, endX, endY, rules);
+      expanded = search.expanded;
+      if (search.waypoints) {
+        return this.createRoute(PATH_STATUS.COMPLETE, search.waypoints, endX, endY, expanded);
+      }
+    }
+
+    // Invalid and unreachable targets are left to the direct search, which reports them
+    // and finds the closest reachable tile for partial paths
+    const result = PathfindingSystem.findPathResult(map, startX, startY, endX, endY, options);
+    const waypoints = result.path.length > 0 ? [result.end] : [];
+    return this.createRoute(
+      result.status,
+      waypoints,
+      result.end.x,
+      result.end.y,
+      expanded + result.expanded,
+    );
+  }
+
+  // Tiles from one waypoint to the next (from excluded), empty when they are not connected
+  static refineSegment(map, from, to, options = {}) {
+    return PathfindingSystem.findPathResult(map, from.x, from.y, to.x, to.y, {
+      ...options, allowPartial: false,
+    }).path;
+  }
+
+  static createRoute(status, waypoints, x, y, expanded) {
+    return {
+      status, waypoints, end: { x, y }, expanded,
+    };
+  }
+
+  static getGraph(map, rules) {
+    const revision = PathfindingSystem.getMapRevision(map);
+    let cache = graphCaches.get(map);
+    if (!cache || cache.revision !== revision) {
+      cache = { revision, graphs: new Map() };
+      graphCaches.set(map, cache);
+    }
+
+    const key = `${rules.diagonal},${rules.cornerCutting}`;
+    if (!cache.graphs.has(key)) {
+      cache.graphs.set(key, this.buildGraph(map, rules));
+    }
+    return cache.graphs.get(key);
+  }
+
+  static clearCache(map) {
+    graphCaches.delete(map);
+  }
+
+  // Nodes are transition tiles on cluster borders. Edges join the two sides of each
+  // transition and every pair of nodes in a cluster that can reach each other inside it.
+  static buildGraph(map, rules) {
+    const grid = PathfindingSystem.getCostGrid(map);
+    const clusterSize = GAME_CONFIG.PATHFINDING.CLUSTER_SIZE;
+    const clustersX = Math.ceil(grid.width / clusterSize);
+    const clustersY = Math.ceil(grid.height / clusterSize);
+
+    const graph = {
+      grid,
+      clusterSize,
+      clustersX,
+      nodeTiles: [], // tile index per node
+      nodeIds: new Map(), // node per tile index
+      edges: [], // { to, cost } lists per node
+      clusterNodes: Array.from({ length: clustersX * clustersY }, () => []),
+    };
+
+    for (let cy = 0; cy < clustersY; cy++) {
+      for (let cx = 0; cx < clustersX; cx++) {
+        const bounds = this.getClusterBounds(graph, cy * clustersX + cx);
+        if (bounds.x1 < grid.width) {
+          // Border with the cluster to the right
+          this.addEntrances(graph, bounds.x1 - 1, bounds.y0, 0, 1, bounds.y1 - bounds.y0, 1, 0);
+        }
+        if (bounds.y1 < grid.height) {
+          // Border with the cluster below
+          this.addEntrances(graph, bounds.x0, bounds.y1 - 1, 1, 0, bounds.x1 - bounds.x0, 0, 1);
+        }
+      }
+    }
+
+    graph.clusterNodes.forEach((nodes, cluster) => {
+      const bounds = this.getClusterBounds(graph, cluster);
+      nodes.forEach((node) => {
+        const distances = this.searchCluster(grid, bounds, graph.nodeTiles[node], rules, false);
+        nodes.forEach((other) => {
+          const cost = distances[this.getLocalIndex(bounds, graph.nodeTiles[other], grid.width)];
+          if (other !== node && cost !== Infinity) {
+            graph.edges[node].push({ to: other, cost });
+          }
+        });
+      });
+    });
+
+    return graph;
+  }
+
+  // Walk one cluster border, (x, y) stepping along it and (crossX, crossY) pointing to the
+  // neighbouring cluster, and add transitions for every opening passable on both sides
+  static addEntrances(graph, x, y, stepX, stepY, length, crossX, crossY) {
+    const { width, costs } = graph.grid;
+    let runStart = -1;
+
+    for (let i = 0; i <= length; i++) {
+      const inside = (y + i * stepY) * width + x + i * stepX;
+      const outside = inside + crossY * width + crossX;
+      const isOpen = i < length && costs[inside] >= 0 && costs[outside] >= 0;
+
+      if (isOpen && runStart < 0) {
+        runStart = i;
+      } else if (!isOpen && runStart >= 0) {
+        const runEnd = i - 1;
+        const offsets = runEnd - runStart + 1 >= ENTRANCE_SPLIT_LENGTH
+          ? [runStart, runEnd]
+          : [Math.floor((runStart + runEnd) / 2)];
+
+        offsets.forEach((offset) => {
+          const a = (y + offset * stepY) * width + x + offset * stepX;
+          const b = a + crossY * width + crossX;
+          graph.edges[this.getNode(graph, a)].push({ to: this.getNode(graph, b), cost: costs[b] });
+          graph.edges[this.getNode(graph, b)].push({ to: this.getNode(graph, a), cost: costs[a] });
+        });
+        runStart = -1;
+      }
+    }
+  }
+
+  static getNode(graph, tileIndex) {
+    if (graph.nodeIds.has(tileIndex)) {
+      return graph.nodeIds.get(tileIndex);
+    }
+
+    const node = graph.nodeTiles.length;
+    graph.nodeTiles.push(tileIndex);
+    graph.nodeIds.set(tileIndex, node);
+    graph.edges.push([]);
+    graph.clusterNodes[this.getCluster(graph, tileIndex)].push(node);
+    return node;
+  }
+
+  static getCluster(graph, tileIndex) {
+    const x = tileIndex % graph.grid.width;
+    const y = (tileIndex - x) / graph.grid.width;
+    return Math.floor(y / graph.clusterSize) * graph.clustersX + Math.floor(x / graph.clusterSize);
+  }
+
+  static getClusterBounds(graph, cluster) {
+    const x0 = (cluster % graph.clustersX) * graph.clusterSize;
+    const y0 = Math.floor(cluster / graph.clustersX) * graph.clusterSize;
+    return {
+      x0,
+      y0,
+      x1: Math.min(x0 + graph.clusterSize, graph.grid.width),
+      y1: Math.min(y0 + graph.clusterSize, graph.grid.height),
+    };
+  }
+
+  static getLocalIndex(bounds, tileIndex, width) {
+    const x = tileIndex % width;
+    const y = (tileIndex - x) / width;
+    return (y - bounds.y0) * (bounds.x1 - bounds.x0) + x - bounds.x0;
+  }
+
+  // Dijkstra restricted to one cluster, returning travel costs indexed by local tile index.
+  // Forward searches give the cost from the source to each tile, reverse searches the cost
+  // from each tile to the source (moving onto a tile costs that tile's movement cost).
+  static searchCluster(grid, bounds, sourceIndex, rules, reverse) {
+    const { width, costs } = grid;
+    const clusterWidth = bounds.x1 - bounds.x0;
+    const clusterHeight = bounds.y1 - bounds.y0;
+    const distances = new Float64Array(clusterWidth * clusterHeight).fill(Infinity);
+    const openSet = new BinaryHeap(distances.length);
+    const { diagonal, cornerCutting: cutting } = rules;
+    const directionCount = diagonal ? DIRECTION_X.length : ORTHOGONAL_DIRECTIONS;
+
+    const source = this.getLocalIndex(bounds, sourceIndex, width);
+    distances[source] = 0;
+    openSet.push(source, 0);
+
+    while (!openSet.isEmpty()) {
+      const current = openSet.pop();
+      const localX = current % clusterWidth;
+      const x = bounds.x0 + localX;
+      const y = bounds.y0 + (current - localX) / clusterWidth;
+
+      for (let dir = 0; dir < directionCount; dir++) {
+        const dx = DIRECTION_X[dir];
+        const dy = DIRECTION_Y[dir];
+        const neighborX = x + dx;
+        const neighborY = y + dy;
+
+        if (neighborX >= bounds.x0 && neighborX < bounds.x1
+            && neighborY >= bounds.y0 && neighborY < bounds.y1) {
+          const isDiagonal = dir >= ORTHOGONAL_DIRECTIONS;
+          // Reverse searches follow the step from the neighbour onto the current tile
+          const entered = reverse ? y * width + x : neighborY * width + neighborX;
+          const fromX = reverse ? neighborX : x;
+          const fromY = reverse ? neighborY : y;
+          const stepX = reverse ? -dx : dx;
+          const stepY = reverse ? -dy : dy;
+          const canStep = costs[neighborY * width + neighborX] >= 0 && (!isDiagonal
+            || PathfindingSystem.canStepDiagonally(grid, fromX, fromY, stepX, stepY, cutting));
+
+          if (canStep) {
+            const neighbor = (neighborY - bounds.y0) * clusterWidth + neighborX - bounds.x0;
+            const distance = distances[current]
+              + costs[entered] * (isDiagonal ? Math.SQRT2 : 1);
+            if (distance < distances[neighbor]) {
+              distances[neighbor] = distance;
+              openSet.push(neighbor, distance);
+            }
+          }
+        }
+      }
+    }
+
+    return distances;
+  }
+
+  // A* over the abstract graph with the start and end tiles linked in temporarily.
+  // Returns { waypoints, expanded }: the waypoints from start to end, or null when the graph
+  // has no route, and the graph nodes and cluster tiles expanded on the way.
+  static searchGraph(graph, startX, startY, endX, endY, rules) {
+    const { grid, nodeTiles, edges } = graph;
+    const { width } = grid;
+    const startIndex = startY * width + startX;
+    const endIndex = endY * width + endX;
+    const startCluster = this.getCluster(graph, startIndex);
+    const endCluster = this.getCluster(graph, endIndex);
+    const startNode = nodeTiles.length;
+    const endNode = startNode + 1;
+
+    // Costs from the start to the nodes of its cluster
+    const startBounds = this.getClusterBounds(graph, startCluster);
+    const fromStart = this.searchCluster(grid, startBounds, startIndex, rules, false);
+    const startEdges = graph.clusterNodes[startCluster]
+      .map((node) => ({
+        to: node,
+        cost: fromStart[this.getLocalIndex(startBounds, nodeTiles[node], width)],
+      }))
+      .filter((edge) => edge.cost !== Infinity);
+    if (startCluster === endCluster) {
+      const cost = fromStart[this.getLocalIndex(startBounds, endIndex, width)];
+      if (cost !== Infinity) {
+        startEdges.push({ to: endNode, cost });
+      }
+    }
+
+    // Costs from the nodes of the end cluster to the end
+    const endBounds = this.getClusterBounds(graph, endCluster);
+    const toEnd = this.searchCluster(grid, endBounds, endIndex, rules, true);
+    // The cluster searches expand every tile they reach once
+    let expanded = [fromStart, toEnd].reduce(
+      (sum, distances) => sum + distances.filter((distance) => distance !== Infinity).length,
+      0,
+    );
+    const endCosts = new Float64Array(startNode).fill(Infinity);
+    graph.clusterNodes[endCluster].forEach((node) => {
+      endCosts[node] = toEnd[this.getLocalIndex(endBounds, nodeTiles[node], width)];
+    });
+
+    const nodeCount = startNode + 2;
+    const gScore = new Float64Array(nodeCount).fill(Infinity);
+    const cameFrom = new Int32Array(nodeCount).fill(-1);
+    const openSet = new BinaryHeap(nodeCount);
+    const heuristic = rules.diagonal
+      ? PathfindingSystem.octileHeuristic
+      : PathfindingSystem.heuristic;
+    const estimate = (node) => {
+      const tile = node === startNode ? startIndex : nodeTiles[node];
+      const x = tile % width;
+      return heuristic(x, (tile - x) / width, endX, endY, grid.minCost);
+    };
+
+    gScore[startNode] = 0;
+    openSet.push(startNode, estimate(startNode));
+
+    while (!openSet.isEmpty()) {
+      const current = openSet.pop();
+      expanded++;
+      if (current === endNode) {
+        return {
+          waypoints: this.reconstructWaypoints(graph, cameFrom, endNode, startIndex, endIndex),
+          expanded,
+        };
+      }
+
+      const neighbors = current === startNode ? startEdges : edges[current];
+      const candidates = current !== startNode && endCosts[current] !== Infinity
+        ? [...neighbors, { to: endNode, cost: endCosts[current] }]
+        : neighbors;
+
+      candidates.forEach(({ to, cost }) => {
+        const tentativeGScore = gScore[current] + cost;
+        if (tentativeGScore < gScore[to]) {
+          gScore[to] = tentativeGScore;
+          cameFrom[to] = current;
+          openSet.push(to, tentativeGScore + (to === endNode ? 0 : estimate(to)));
+        }
+      });
+    }
+
+    return { waypoints: null, expanded };
+  }
+
+  // Waypoint tiles from the start (excluded) to the end, skipping graph nodes that sit on
+  // the start or end tile themselves
+  static reconstructWaypoints(graph, cameFrom, endNode, startIndex, endIndex) {
+    const { width } = graph.grid;
+    const tiles = [endIndex];
+    let current = cameFrom[endNode];
+
+    // The start node has no predecessor and is not included
+    while (cameFrom[current] !== -1) {
+      const tile = graph.nodeTiles[current];
+      if (tile !== startIndex && tile !== tiles[0]) {
+        tiles.unshift(tile);
+      }
+      current = cameFrom[current];
+    }
+
+    return tiles.map((tile) => ({ x: tile % width, y: Math.floor(tile / width) }));
+  }
+}
@@ -0,0 +1,13 @@
+// Validation error pointing at the offending part of the map data
+export class MapFormatError extends Error {
+  constructor(message, path = null, tile = null) {
+    const location = [
+      path,
+      tile ? `tile (${tile.x}, ${tile.y})` : null,
+    ].filter(Boolean).join(', ');
+    super(location ? `Invalid map at ${location}: ${message}` : `Invalid map: ${message}`);
+    this.name = 'MapFormatError';
+    this.path = path;
+    this.tile = tile ? { x: tile.x, y: tile.y } : null;
+  }
+}
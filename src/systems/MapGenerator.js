@@ -1,32 +1,80 @@
 import { GAME_CONFIG } from '../config/GameConfig.js';
 import { Tile } from '../entities/Tile.js';
 import { Castle } from '../entities/Castle.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ValueNoise } from '../utils/ValueNoise.js';
+
+const ELEVATION_BANDS = ['low', 'mid', 'high'];
+const SYMMETRIES = ['none', 'mirror2', 'rotate4', 'mirror4'];
+const POISSON_CANDIDATES = 30;
+const CORNER_FACTIONS = 4;
 
 export class MapGenerator {
-  static generateMap(size = GAME_CONFIG.DEFAULT_MAP_SIZE) {
+  // options.width / options.height: map dimensions in tiles, both default to size
+  // options.seed: string or number, a random seed is picked when omitted
+  // options.createRandom: (seed) => PRNG exposing next(), defaults to SeededRandom
+  // options.mode: 'random' or 'noise', defaults to GAME_CONFIG.MAP_GENERATION.MODE
+  // options.symmetry: 'none', 'mirror2' (left/right), 'rotate4' or 'mirror4'
+  // options.factionCount: number of factions (GAME_CONFIG.MIN_FACTIONS-MAX_FACTIONS)
+  // options.placement: 'corners', 'ring', 'poisson' or 'explicit' (uses options.castlePositions),
+  //   see getDefaultPlacement when omitted
+  // options.minCastleDistance: minimum distance in tiles between two castles
+  // options.neutralCastles: number of capturable neutral castles to scatter (default 0),
+  //   rounded up to whole mirror groups on symmetric maps (see placeNeutralCastles)
+  static generateMap(size = GAME_CONFIG.DEFAULT_MAP_SIZE, options = {}) {
+    const seed = options.seed !== undefined && options.seed !== null
+      ? options.seed
+      : SeededRandom.createSeed();
+    const createRandom = options.createRandom || ((value) => new SeededRandom(value));
+    const rng = createRandom(seed);
+    const mode = options.mode || GAME_CONFIG.MAP_GENERATION.MODE;
+    const symmetry = options.symmetry || GAME_CONFIG.MAP_GENERATION.SYMMETRY;
+    const width = options.width || size;
+    const height = options.height || size;
     const map = [];
 
+    if (!SYMMETRIES.includes(symmetry)) {
+      throw new Error(`Unknown map symmetry: ${symmetry}`);
+    }
+    if (symmetry === 'rotate4' && width !== height) {
+      throw new Error(`rotate4 symmetry needs a square map, got ${width}x${height}`);
+    }
+
+    let noiseTerrain = null;
+    if (mode === 'noise') {
+      noiseTerrain = this.generateNoiseTerrain(width, height, rng);
+    } else if (mode !== 'random') {
+      throw new Error(`Unknown map generation mode: ${mode}`);
+    }
+
     // Initialize empty map
-    for (let y = 0; y < size; y++) {
+    for (let y = 0; y < height; y++) {
       map[y] = [];
-      for (let x = 0; x < size; x++) {
-        const tileType = this.generateTileType();
+      for (let x = 0; x < width; x++) {
+        const tileType = noiseTerrain ? noiseTerrain[y][x] : this.generateTileType(rng);
         map[y][x] = new Tile(x, y, tileType);
       }
     }
 
-    // Place castles in corners
-    const castlePositions = [
-      { x: 1, y: 1 }, // Top-left
-      { x: size - 2, y: 1 }, // Top-right
-      { x: 1, y: size - 2 }, // Bottom-left
-      { x: size - 2, y: size - 2 }, // Bottom-right
-    ];
+    // Copy one section of the terrain onto its mirrored/rotated images
+    this.applySymmetry(map, symmetry);
+
+    // Expose the seed so the same map can be regenerated
+    map.seed = seed;
+    map.symmetry = symmetry;
+
+    // Place one castle per faction
+    const defaultFactionCount = options.castlePositions
+      ? options.castlePositions.length
+      : GAME_CONFIG.DEFAULT_FACTION_COUNT;
+    const factionCount = options.factionCount || defaultFactionCount;
+    const castlePositions = this.placeCastles(width, height, factionCount, rng, options);
+    map.factions = GAME_CONFIG.FACTIONS.slice(0, factionCount);
 
     castlePositions.forEach((pos, index) => {
       // Ensure castle position is passable
       const tileType = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
-      map[pos.y][pos.x].type = tileType;
+      MapGenerator.carveTile(map, pos.x, pos.y, tileType, symmetry);
 
       // Create castle with different production rates for testing
       const productionRate = GAME_CONFIG.PRODUCTION.DEFAULT_RATE + (index - 1);
@@ -34,14 +82,264 @@ export class MapGenerator {
       map[pos.y][pos.x].setCastle(castle);
     });
 
+    // Scatter neutral castles away from the faction castles
+    const neutralPositions = this.placeNeutralCastles(
+      map,
+      options.neutralCastles || 0,
+      castlePositions,
+      rng,
+      symmetry,
+    );
+    neutralPositions.forEach((pos) => {
+      const tileType = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
+      MapGenerator.carveTile(map, pos.x, pos.y, tileType, symmetry);
+      map[pos.y][pos.x].setCastle(Castle.createNeutral(pos.x, pos.y));
+    });
+
     // Ensure connectivity between all castle positions
-    MapGenerator.ensureCastleConnectivity(map, castlePositions);
+    map.carvedTiles = MapGenerator.ensureCastleConnectivity(
+      map,
+      castlePositions.concat(neutralPositions),
+      symmetry,
+    );
 
     return map;
   }
 
-  static generateTileType() {
-    const random = Math.random();
+  static placeCastles(width, height, factionCount, rng, options = {}) {
+    const placement = options.placement || this.getDefaultPlacement(factionCount, options);
+    const minDistance = options.minCastleDistance !== undefined
+      ? options.minCastleDistance
+      : GAME_CONFIG.MAP_GENERATION.MIN_CASTLE_DISTANCE;
+    const maxFactions = Math.min(GAME_CONFIG.MAX_FACTIONS, GAME_CONFIG.FACTIONS.length);
+
+    if (factionCount < GAME_CONFIG.MIN_FACTIONS || factionCount > maxFactions) {
+      throw new Error(`Faction count must be between ${GAME_CONFIG.MIN_FACTIONS} and ${maxFactions}, got ${factionCount}`);
+    }
+
+    let positions;
+    if (placement === 'corners') {
+      positions = this.getCornerPositions(width, height, factionCount);
+    } else if (placement === 'ring') {
+      positions = this.getRingPositions(width, height, factionCount);
+    } else if (placement === 'poisson') {
+      positions = this.getPoissonPositions(width, height, factionCount, minDistance, rng);
+    } else if (placement === 'explicit') {
+      positions = (options.castlePositions || []).map((pos) => ({ x: pos.x, y: pos.y }));
+      if (positions.length !== factionCount) {
+        throw new Error(`Expected ${factionCount} castle positions, got ${positions.length}`);
+      }
+    } else {
+      throw new Error(`Unknown castle placement: ${placement}`);
+    }
+
+    positions.forEach((pos) => {
+      if (pos.x < 0 || pos.x >= width || pos.y < 0 || pos.y >= height) {
+        throw new Error(`Castle position (${pos.x}, ${pos.y}) is outside the ${width}x${height} map`);
+      }
+    });
+    this.validateCastleDistance(positions, minDistance);
+
+    return positions;
+  }
+
+  // Explicit positions when given, otherwise the configured placement. Corners only seat four
+  // factions, larger games are spread around a ring instead.
+  static getDefaultPlacement(factionCount, options = {}) {
+    if (options.castlePositions) {
+      return 'explicit';
+    }
+    const placement = GAME_CONFIG.MAP_GENERATION.CASTLE_PLACEMENT;
+    return placement === 'corners' && factionCount > CORNER_FACTIONS ? 'ring' : placement;
+  }
+
+  static getCornerPositions(width, height, factionCount) {
+    const topLeft = { x: 1, y: 1 };
+    const topRight = { x: width - 2, y: 1 };
+    const bottomLeft = { x: 1, y: height - 2 };
+    const bottomRight = { x: width - 2, y: height - 2 };
+
+    // Two factions start on opposite corners, otherwise corners fill in reading order
+    if (factionCount === 2) {
+      return [topLeft, bottomRight];
+    }
+    if (factionCount > CORNER_FACTIONS) {
+      throw new Error(`Corner placement supports at most ${CORNER_FACTIONS} factions`);
+    }
+    return [topLeft, topRight, bottomLeft, bottomRight].slice(0, factionCount);
+  }
+
+  // Evenly spaced around an ellipse inscribed in the map, starting at the top-left
+  static getRingPositions(width, height, factionCount) {
+    const centerX = (width - 1) / 2;
+    const centerY = (height - 1) / 2;
+    const radiusX = centerX - 1;
+    const radiusY = centerY - 1;
+    const positions = [];
+
+    for (let i = 0; i < factionCount; i++) {
+      const angle = (-3 * Math.PI) / 4 + (i * 2 * Math.PI) / factionCount;
+      positions.push({
+        x: Math.round(centerX + Math.cos(angle) * radiusX),
+        y: Math.round(centerY + Math.sin(angle) * radiusY),
+      });
+    }
+
+    return positions;
+  }
+
+  // Best-candidate Poisson sampling: each castle is the candidate farthest from the
+  // castles placed so far, which spreads factions as far apart as the map allows
+  static getPoissonPositions(width, height, factionCount, minDistance, rng) {
+    const positions = [];
+    const randomInterior = () => ({
+      x: 1 + Math.floor(rng.next() * (width - 2)),
+      y: 1 + Math.floor(rng.next() * (height - 2)),
+    });
+
+    positions.push(randomInterior());
+    while (positions.length < factionCount) {
+      let best = null;
+      let bestDistance = -1;
+
+      for (let i = 0; i < POISSON_CANDIDATES; i++) {
+        const candidate = randomInterior();
+        const distance = Math.min(...positions.map((pos) => this.getDistance(pos, candidate)));
+        if (distance > bestDistance) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      }
+
+      if (bestDistance < minDistance) {
+        throw new Error(`Could not place ${factionCount} castles at least ${minDistance} tiles apart`);
+      }
+      positions.push(best);
+    }
+
+    return positions;
+  }
+
+  // Random interior positions at least NEUTRAL_CASTLES.MIN_DISTANCE from every castle.
+  // On symmetric maps each position brings its mirrored images so no faction is favoured,
+  // count then rounds up to whole groups: 3 castles on a mirror2 map are 2 pairs, 4 castles.
+  static placeNeutralCastles(map, count, castlePositions, rng, symmetry = 'none') {
+    const height = map.length;
+    const width = map[0].length;
+    const minDistance = GAME_CONFIG.NEUTRAL_CASTLES.MIN_DISTANCE;
+    const placed = [];
+    const maxAttempts = count * 50;
+
+    for (let attempt = 0; attempt < maxAttempts && placed.length < count; attempt++) {
+      const candidate = {
+        x: 1 + Math.floor(rng.next() * (width - 2)),
+        y: 1 + Math.floor(rng.next() * (height - 2)),
+      };
+      const group = this.getSymmetricPositions(candidate.x, candidate.y, width, height, symmetry);
+      const occupied = castlePositions.concat(placed);
+
+      const fits = this.getMinimumDistance(group) >= minDistance
+        && group.every((pos) => occupied.every((other) => this.getDistance(pos, other) >= minDistance));
+      if (fits) {
+        placed.push(...group);
+      }
+    }
+
+    if (placed.length < count) {
+      console.log(`Only placed ${placed.length} of ${count} neutral castles`);
+    }
+
+    return placed;
+  }
+
+  static getMinimumDistance(positions) {
+    let minimum = Infinity;
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        minimum = Math.min(minimum, this.getDistance(positions[i], positions[j]));
+      }
+    }
+    return minimum;
+  }
+
+  static validateCastleDistance(positions, minDistance) {
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        if (this.getDistance(positions[i], positions[j]) < minDistance) {
+          throw new Error(`Castles at (${positions[i].x}, ${positions[i].y}) and (${positions[j].x}, ${positions[j].y}) are closer than ${minDistance} tiles`);
+        }
+      }
+    }
+  }
+
+  static getDistance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  }
+
+  // All positions that must share terrain with (x, y) under the given symmetry
+  static getSymmetricPositions(x, y, width, height, symmetry) {
+    const positions = [{ x, y }];
+
+    if (symmetry === 'mirror2') {
+      positions.push({ x: width - 1 - x, y });
+    } else if (symmetry === 'mirror4') {
+      positions.push(
+        { x: width - 1 - x, y },
+        { x, y: height - 1 - y },
+        { x: width - 1 - x, y: height - 1 - y },
+      );
+    } else if (symmetry === 'rotate4') {
+      // Quarter turns about the map centre (square maps)
+      positions.push(
+        { x: width - 1 - y, y: x },
+        { x: width - 1 - x, y: height - 1 - y },
+        { x: y, y: height - 1 - x },
+      );
+    }
+
+    const seen = new Set();
+    return positions.filter((pos) => {
+      const key = `${pos.x},${pos.y}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  static applySymmetry(map, symmetry) {
+    if (symmetry === 'none') {
+      return;
+    }
+
+    const height = map.length;
+    const width = map[0].length;
+
+    // Every tile takes the terrain of the first (row-major) tile of its symmetry group
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const source = this.getSymmetricPositions(x, y, width, height, symmetry)
+          .reduce((best, pos) => (pos.y * width + pos.x < best.y * width + best.x ? pos : best));
+        map[y][x].type = map[source.y][source.x].type;
+      }
+    }
+  }
+
+  // Change a tile's terrain, keeping the map symmetric. Returns how many tiles changed.
+  static carveTile(map, x, y, tileType, symmetry = 'none') {
+    let changed = 0;
+    this.getSymmetricPositions(x, y, map[0].length, map.length, symmetry).forEach((pos) => {
+      if (map[pos.y][pos.x].type !== tileType) {
+        map[pos.y][pos.x].type = tileType;
+        changed++;
+      }
+    });
+    return changed;
+  }
+
+  static generateTileType(rng = { next: Math.random }) {
+    const random = rng.next();
     let cumulativeProbability = 0;
 
     for (const tileType of GAME_CONFIG.TILE_TYPES) {
@@ -55,51 +353,216 @@ export class MapGenerator {
     return GAME_CONFIG.TILE_TYPES[0];
   }
 
-  static ensureCastleConnectivity(map, castlePositions) {
-    const passableTileType = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
+  // Layered noise terrain: elevation picks water/land/mountain bands, moisture picks
+  // the type inside a band. Thresholds are quantiles of the sampled noise, so each
+  // type covers roughly its configured probability of the map.
+  static generateNoiseTerrain(width, height, rng) {
+    const { SCALE, OCTAVES, PERSISTENCE } = GAME_CONFIG.MAP_GENERATION.NOISE;
+    const elevationNoise = new ValueNoise(rng);
+    const moistureNoise = new ValueNoise(rng);
+    const cells = [];
 
-    // Create simple cross-pattern to ensure all castles are connected
-    // Create horizontal corridor in middle
-    const midY = Math.floor(map.length / 2);
-    for (let x = 1; x < map[0].length - 1; x++) {
-      map[midY][x].type = passableTileType;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        cells.push({
+          x,
+          y,
+          elevation: elevationNoise.fractal(x / SCALE, y / SCALE, OCTAVES, PERSISTENCE),
+          moisture: moistureNoise.fractal(x / SCALE, y / SCALE, OCTAVES, PERSISTENCE),
+        });
+      }
     }
 
-    // Create vertical corridor in middle  
-    const midX = Math.floor(map[0].length / 2);
-    for (let y = 1; y < map.length - 1; y++) {
-      map[y][midX].type = passableTileType;
+    const totalProbability = GAME_CONFIG.TILE_TYPES.reduce((sum, t) => sum + t.probability, 0);
+    const terrain = [];
+    for (let y = 0; y < height; y++) {
+      terrain[y] = [];
     }
 
-    // Create paths from each castle to the center corridors
-    castlePositions.forEach(pos => {
-      MapGenerator.createSimplePath(map, pos, { x: midX, y: midY }, passableTileType);
+    // Split cells into elevation bands, lowest elevation first
+    cells.sort((a, b) => a.elevation - b.elevation);
+    let bandStart = 0;
+
+    ELEVATION_BANDS.forEach((band, bandIndex) => {
+      const bandTypes = GAME_CONFIG.TILE_TYPES
+        .filter((t) => (t.elevation || 'mid') === band)
+        .sort((a, b) => (a.moisture ?? 0.5) - (b.moisture ?? 0.5));
+      const bandProbability = bandTypes.reduce((sum, t) => sum + t.probability, 0);
+      const isLastBand = bandIndex === ELEVATION_BANDS.length - 1;
+      const bandEnd = isLastBand
+        ? cells.length
+        : bandStart + Math.round((bandProbability / totalProbability) * cells.length);
+      const bandCells = cells.slice(bandStart, bandEnd);
+      bandStart = bandEnd;
+
+      if (bandTypes.length === 0 || bandCells.length === 0) {
+        return;
+      }
+
+      // Within the band, drier cells get the drier types
+      bandCells.sort((a, b) => a.moisture - b.moisture);
+      let typeIndex = 0;
+      let typeLimit = (bandTypes[0].probability / bandProbability) * bandCells.length;
+
+      bandCells.forEach((cell, index) => {
+        while (index >= typeLimit && typeIndex < bandTypes.length - 1) {
+          typeIndex++;
+          typeLimit += (bandTypes[typeIndex].probability / bandProbability) * bandCells.length;
+        }
+        terrain[cell.y][cell.x] = bandTypes[typeIndex];
+      });
     });
 
-    console.log('Created connectivity corridors to ensure all castles are reachable');
+    // Cells in a band without any configured type fall back to the default terrain
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!terrain[y][x]) {
+          terrain[y][x] = GAME_CONFIG.TILE_TYPES[0];
+        }
+      }
+    }
+
+    return terrain;
+  }
+
+  // Connect every castle to the others. Passable regions are labelled with a flood
+  // fill and, while castles sit in different regions, the cheapest connection (fewest
+  // impassable tiles) from the first castle's region to another castle region is carved.
+  // Returns the number of tiles whose terrain was changed.
+  static ensureCastleConnectivity(map, castlePositions, symmetry = 'none') {
+    const passableTileType = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
+    const width = map[0].length;
+    let modifiedTiles = 0;
+
+    for (;;) {
+      const regions = this.labelRegions(map);
+      const castleRegions = new Set(castlePositions.map((pos) => regions[pos.y * width + pos.x]));
+      if (castleRegions.size <= 1) {
+        break;
+      }
+
+      const first = castlePositions[0];
+      const sourceRegion = regions[first.y * width + first.x];
+      castleRegions.delete(sourceRegion);
+
+      const connection = this.findCheapestConnection(map, regions, sourceRegion, castleRegions);
+      if (!connection) {
+        break;
+      }
+
+      connection.forEach((pos) => {
+        if (!this.isTraversable(map[pos.y][pos.x])) {
+          modifiedTiles += this.carveTile(map, pos.x, pos.y, passableTileType, symmetry);
+        }
+      });
+    }
+
+    console.log(`Castle connectivity ensured, ${modifiedTiles} tiles modified`);
+    return modifiedTiles;
+  }
+
+  static isTraversable(tile) {
+    return tile.isPassable() || tile.castle !== null;
+  }
+
+  // Flood fill passable tiles into regions, returns a region id per tile (-1 = impassable)
+  static labelRegions(map) {
+    const height = map.length;
+    const width = map[0].length;
+    const regions = new Int32Array(width * height).fill(-1);
+    let nextRegion = 0;
+
+    for (let start = 0; start < regions.length; start++) {
+      const startTile = map[Math.floor(start / width)][start % width];
+      if (regions[start] === -1 && this.isTraversable(startTile)) {
+        const stack = [start];
+        regions[start] = nextRegion;
+
+        while (stack.length > 0) {
+          const index = stack.pop();
+          const x = index % width;
+          const y = Math.floor(index / width);
+
+          this.getOrthogonalNeighbors(x, y, width, height).forEach((neighbor) => {
+            const neighborIndex = neighbor.y * width + neighbor.x;
+            if (regions[neighborIndex] === -1 && this.isTraversable(map[neighbor.y][neighbor.x])) {
+              regions[neighborIndex] = nextRegion;
+              stack.push(neighborIndex);
+            }
+          });
+        }
+
+        nextRegion++;
+      }
+    }
+
+    return regions;
   }
 
-  static createSimplePath(map, from, to, passableTileType) {
-    // Create L-shaped path (horizontal then vertical)
-    let currentX = from.x;
-    let currentY = from.y;
+  // 0-1 BFS from every tile of the source region: entering a passable tile is free,
+  // entering an impassable tile costs one carve. Returns the tiles of the cheapest
+  // route into any of the target regions, or null when there is none.
+  static findCheapestConnection(map, regions, sourceRegion, targetRegions) {
+    const height = map.length;
+    const width = map[0].length;
+    const cost = new Float64Array(width * height).fill(Infinity);
+    const cameFrom = new Int32Array(width * height).fill(-1);
 
-    // Move horizontally first
-    const deltaX = to.x > from.x ? 1 : -1;
-    while (currentX !== to.x) {
-      currentX += deltaX;
-      if (currentX >= 0 && currentX < map[0].length && currentY >= 0 && currentY < map.length) {
-        map[currentY][currentX].type = passableTileType;
+    // Circular double-ended queue; every tile is queued at most once per relaxation
+    const capacity = width * height * 5 + 1;
+    const deque = new Int32Array(capacity);
+    let head = 0;
+    let tail = 0;
+
+    for (let index = 0; index < regions.length; index++) {
+      if (regions[index] === sourceRegion) {
+        cost[index] = 0;
+        deque[tail] = index;
+        tail = (tail + 1) % capacity;
       }
     }
 
-    // Then move vertically
-    const deltaY = to.y > from.y ? 1 : -1;
-    while (currentY !== to.y) {
-      currentY += deltaY;
-      if (currentX >= 0 && currentX < map[0].length && currentY >= 0 && currentY < map.length) {
-        map[currentY][currentX].type = passableTileType;
+    while (head !== tail) {
+      const index = deque[head];
+      head = (head + 1) % capacity;
+
+      if (targetRegions.has(regions[index])) {
+        const path = [];
+        for (let current = index; current !== -1; current = cameFrom[current]) {
+          path.unshift({ x: current % width, y: Math.floor(current / width) });
+        }
+        return path;
       }
+
+      const x = index % width;
+      const y = Math.floor(index / width);
+      this.getOrthogonalNeighbors(x, y, width, height).forEach((neighbor) => {
+        const neighborIndex = neighbor.y * width + neighbor.x;
+        const stepCost = this.isTraversable(map[neighbor.y][neighbor.x]) ? 0 : 1;
+
+        if (cost[index] + stepCost < cost[neighborIndex]) {
+          cost[neighborIndex] = cost[index] + stepCost;
+          cameFrom[neighborIndex] = index;
+          if (stepCost === 0) {
+            head = (head - 1 + capacity) % capacity;
+            deque[head] = neighborIndex;
+          } else {
+            deque[tail] = neighborIndex;
+            tail = (tail + 1) % capacity;
+          }
+        }
+      });
     }
+
+    return null;
+  }
+
+  static getOrthogonalNeighbors(x, y, width, height) {
+    return [
+      { x, y: y - 1 },
+      { x: x + 1, y },
+      { x, y: y + 1 },
+      { x: x - 1, y },
+    ].filter((pos) => pos.x >= 0 && pos.x < width && pos.y >= 0 && pos.y < height);
   }
 }
@@ -0,0 +1,239 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { Tile } from '../entities/Tile.js';
+import { Castle } from '../entities/Castle.js';
+import { MapFormatError } from './MapFormatError.js';
+
+/**
+ * Map file format (version 1)
+ *
+ * {
+ *   "format": "myhomm-map",
+ *   "version": 1,
+ *   "width": 12,                    // tiles per row
+ *   "height": 8,                    // number of rows
+ *   "seed": "map-of-the-day",       // optional, generator seed the map came from
+ *   "factions": [0, 1],             // optional, faction ids taking part (default: castle owners)
+ *   "tiles": [[0, 0, 1, ...], ...], // height rows of width GAME_CONFIG.TILE_TYPES ids
+ *   "castles": [
+ *     { "x": 1, "y": 1, "factionId": 0, "productionRate": 120, "garrison": 10 },
+ *     { "x": 6, "y": 4, "factionId": null, "productionRate": 60, "garrison": 15,
+ *       "producesWhenNeutral": false }
+ *   ],
+ *   "units": [                      // optional, stationary unit groups
+ *     { "x": 3, "y": 2, "factionId": 1, "count": 5 }
+ *   ]
+ * }
+ *
+ * factionId null marks a neutral castle. Castles and units must stand on passable tiles.
+ */
+
+export const MAP_FORMAT = 'myhomm-map';
+export const MAP_FORMAT_VERSION = 1;
+
+export { MapFormatError };
+
+export class MapSerializer {
+  static serialize(map) {
+    const data = {
+      format: MAP_FORMAT,
+      version: MAP_FORMAT_VERSION,
+      width: map[0].length,
+      height: map.length,
+    };
+
+    if (map.seed !== undefined) {
+      data.seed = map.seed;
+    }
+    if (map.factions) {
+      data.factions = map.factions.map((faction) => faction.id);
+    }
+
+    data.tiles = map.map((row) => row.map((tile) => tile.type.id));
+    data.castles = [];
+    data.units = [];
+
+    map.forEach((row) => row.forEach((tile) => {
+      if (tile.castle) {
+        const castle = {
+          x: tile.x,
+          y: tile.y,
+          factionId: tile.castle.factionId,
+          productionRate: tile.castle.productionRate,
+          garrison: tile.castle.unitCount,
+        };
+        if (tile.castle.isNeutral()) {
+          castle.producesWhenNeutral = tile.castle.producesWhenNeutral;
+        }
+        data.castles.push(castle);
+      }
+
+      tile.units.forEach((unit) => {
+        data.units.push({
+          x: tile.x, y: tile.y, factionId: unit.factionId, count: unit.count,
+        });
+      });
+    }));
+
+    return data;
+  }
+
+  static toJSON(map) {
+    return JSON.stringify(this.serialize(map), null, 2);
+  }
+
+  // Accepts the parsed object or its JSON text, throws MapFormatError on invalid data
+  static deserialize(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (error) {
+        throw new MapFormatError(`not valid JSON (${error.message})`);
+      }
+    }
+
+    this.validateHeader(data);
+
+    const { width, height } = data;
+    const map = [];
+
+    // Tiles
+    if (!Array.isArray(data.tiles) || data.tiles.length !== height) {
+      throw new MapFormatError(`expected ${height} rows of tiles`, 'tiles');
+    }
+    data.tiles.forEach((row, y) => {
+      if (!Array.isArray(row) || row.length !== width) {
+        throw new MapFormatError(`expected ${width} tiles in row ${y}`, `tiles[${y}]`);
+      }
+      map[y] = row.map((typeId, x) => {
+        const tileType = GAME_CONFIG.TILE_TYPES.find((t) => t.id === typeId);
+        if (!tileType) {
+          throw new MapFormatError(`unknown tile type id ${JSON.stringify(typeId)}`, `tiles[${y}][${x}]`, { x, y });
+        }
+        return new Tile(x, y, tileType);
+      });
+    });
+
+    // Castles
+    const castles = data.castles || [];
+    if (!Array.isArray(castles)) {
+      throw new MapFormatError('expected an array', 'castles');
+    }
+    castles.forEach((entry, index) => {
+      const path = `castles[${index}]`;
+      const tile = this.validatePosition(map, entry, path);
+
+      if (tile.castle) {
+        throw new MapFormatError('a castle is already placed on this tile', path, tile);
+      }
+      if (entry.factionId !== null && !this.isKnownFaction(entry.factionId)) {
+        throw new MapFormatError(`unknown faction id ${JSON.stringify(entry.factionId)}`, `${path}.factionId`, tile);
+      }
+      if (typeof entry.productionRate !== 'number' || entry.productionRate <= 0) {
+        throw new MapFormatError('productionRate must be a positive number', `${path}.productionRate`, tile);
+      }
+      if (!Number.isInteger(entry.garrison) || entry.garrison < 0) {
+        throw new MapFormatError('garrison must be a non-negative integer', `${path}.garrison`, tile);
+      }
+
+      let castle;
+      if (entry.factionId === null) {
+        castle = Castle.createNeutral(tile.x, tile.y, {
+          garrison: entry.garrison,
+          productionRate: entry.productionRate,
+          producesWhenNeutral: entry.producesWhenNeutral,
+        });
+      } else {
+        castle = new Castle(tile.x, tile.y, entry.factionId, entry.productionRate);
+        castle.unitCount = entry.garrison;
+      }
+      tile.setCastle(castle);
+    });
+
+    // Stationary units
+    const units = data.units || [];
+    if (!Array.isArray(units)) {
+      throw new MapFormatError('expected an array', 'units');
+    }
+    units.forEach((entry, index) => {
+      const path = `units[${index}]`;
+      const tile = this.validatePosition(map, entry, path);
+
+      if (!this.isKnownFaction(entry.factionId)) {
+        throw new MapFormatError(`unknown faction id ${JSON.stringify(entry.factionId)}`, `${path}.factionId`, tile);
+      }
+      if (!Number.isInteger(entry.count) || entry.count <= 0) {
+        throw new MapFormatError('count must be a positive integer', `${path}.count`, tile);
+      }
+
+      tile.addUnit({
+        factionId: entry.factionId,
+        count: entry.count,
+        x: tile.x,
+        y: tile.y,
+        isMoving: false,
+      });
+    });
+
+    // Factions taking part default to the owners of the castles
+    let factionIds = data.factions;
+    if (factionIds === undefined) {
+      factionIds = [...new Set(castles.map((c) => c.factionId).filter((id) => id !== null))]
+        .sort((a, b) => a - b);
+    } else if (!Array.isArray(factionIds)) {
+      throw new MapFormatError('expected an array of faction ids', 'factions');
+    }
+    map.factions = factionIds.map((id, index) => {
+      if (!this.isKnownFaction(id)) {
+        throw new MapFormatError(`unknown faction id ${JSON.stringify(id)}`, `factions[${index}]`);
+      }
+      return GAME_CONFIG.FACTIONS.find((f) => f.id === id);
+    });
+
+    if (data.seed !== undefined) {
+      map.seed = data.seed;
+    }
+
+    return map;
+  }
+
+  static validateHeader(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new MapFormatError('expected a map object');
+    }
+    if (data.format !== MAP_FORMAT) {
+      throw new MapFormatError(`expected format "${MAP_FORMAT}"`, 'format');
+    }
+    if (data.version !== MAP_FORMAT_VERSION) {
+      throw new MapFormatError(`unsupported version ${JSON.stringify(data.version)}, expected ${MAP_FORMAT_VERSION}`, 'version');
+    }
+    ['width', 'height'].forEach((key) => {
+      const value = data[key];
+      if (!Number.isInteger(value) || value < 1 || value > GAME_CONFIG.MAX_MAP_SIZE) {
+        throw new MapFormatError(`must be an integer between 1 and ${GAME_CONFIG.MAX_MAP_SIZE}`, key);
+      }
+    });
+  }
+
+  // Checks x/y of a castle or unit entry and returns the passable tile it stands on
+  static validatePosition(map, entry, path) {
+    if (entry === null || typeof entry !== 'object') {
+      throw new MapFormatError('expected an object', path);
+    }
+    const { x, y } = entry;
+    if (!Number.isInteger(x) || !Number.isInteger(y)
+        || y < 0 || y >= map.length || x < 0 || x >= map[0].length) {
+      throw new MapFormatError(`position (${x}, ${y}) is outside the map`, path);
+    }
+
+    const tile = map[y][x];
+    if (!tile.isPassable()) {
+      throw new MapFormatError(`${tile.type.name} is impassable`, path, { x, y });
+    }
+    return tile;
+  }
+
+  static isKnownFaction(factionId) {
+    return GAME_CONFIG.FACTIONS.some((f) => f.id === factionId);
+  }
+}
@@ -1,59 +1,282 @@
-import { PathfindingSystem } from './PathfindingSystem.js';
+import { PathfindingSystem, PATH_STATUS } from './PathfindingSystem.js';
+import { HierarchicalPathfinder } from './HierarchicalPathfinder.js';
+import { FlowFieldSystem } from './FlowFieldSystem.js';
+import { ThreatSystem } from './ThreatSystem.js';
 import { Unit } from '../entities/Unit.js';
 import { CombatSystem } from './CombatSystem.js';
 import { TileEventSystem } from './TileEventSystem.js';
 import { GAME_CONFIG } from '../config/GameConfig.js';
 
+// Why an order without any path was refused, by path status
+const ORDER_REFUSED_REASONS = {
+  [PATH_STATUS.INVALID]: 'Destination is outside the map or impassable',
+  [PATH_STATUS.PARTIAL]: 'Destination cannot be reached',
+  [PATH_STATUS.TIMEOUT]: 'Route search took too long',
+  [PATH_STATUS.CANCELLED]: 'Superseded by a newer order',
+};
+
+// Orders a group can queue after its current leg (see Unit.orderQueue)
+const ORDER_TYPES = ['move', 'hold'];
+
+// Why an order was shortened to the closest reachable tile, by path status
+const ORDER_SHORTENED_REASONS = {
+  [PATH_STATUS.PARTIAL]: 'Destination cannot be reached',
+  [PATH_STATUS.TIMEOUT]: 'Route search took too long',
+};
+
 export class MovementSystem {
-  constructor() {
+  // options.pathfinder replaces the pathfinder picked by map size, it needs the
+  // findPathResult interface of PathfindingSystem (see getPathfinder)
+  constructor(options = {}) {
     this.movingUnits = [];
     this.tileEventSystem = new TileEventSystem();
+    this.pathfinder = options.pathfinder || null;
+    // Events for the scene, such as UNIT_PATH_BLOCKED when a unit had to stop short
+    this.eventQueue = [];
+    this.dispatchingCastles = new Set(); // castles whose stream or rally order awaits its route
+  }
+
+  // Direct A* for ordinary maps, hierarchical pathfinding from HIERARCHICAL_MIN_SIZE up
+  getPathfinder(map) {
+    if (this.pathfinder) {
+      return this.pathfinder;
+    }
+    const size = Math.max(map.length, map[0].length);
+    return size >= GAME_CONFIG.PATHFINDING.HIERARCHICAL_MIN_SIZE
+      ? HierarchicalPathfinder
+      : PathfindingSystem;
+  }
+
+  // Units a split order sends out of availableCount: split.count is an exact number, capped
+  // at what is there, split.fraction a share rounded down. Without a split everything goes.
+  // At least one unit is always asked for, so that empty garrisons are refused as such.
+  getSplitCount(availableCount, split = {}) {
+    let count = availableCount;
+    if (split.count !== undefined) {
+      if (!Number.isInteger(split.count) || split.count < 1) {
+        throw new Error(`Split count must be a whole number above 0, got ${split.count}`);
+      }
+      count = Math.min(split.count, availableCount);
+    } else if (split.fraction !== undefined) {
+      if (!(split.fraction > 0 && split.fraction <= 1)) {
+        throw new Error(`Split fraction must be above 0 and at most 1, got ${split.fraction}`);
+      }
+      count = Math.floor(availableCount * split.fraction);
+    }
+    return Math.max(1, count);
+  }
+
+  // Returns true when the order was given, see issueMoveOrder for the reason when it was not
+  moveUnits(map, fromX, fromY, toX, toY, unitCount, options = {}) {
+    return this.issueMoveOrder(map, fromX, fromY, toX, toY, unitCount, options).success;
+  }
+
+  // Order groups on several tiles ({ x, y, unitCount }) to the same target. They all follow
+  // one flow field instead of searching a path each. Returns one issueMoveOrder result per group.
+  issueMassMoveOrder(map, origins, toX, toY, options = {}) {
+    return origins.map((origin) => this.issueMoveOrder(
+      map,
+      origin.x,
+      origin.y,
+      toX,
+      toY,
+      origin.unitCount,
+      { ...options, flowField: true },
+    ));
+  }
+
+  // Order units along several tiles ({ x, y }) in turn, the group moves on to the next tile
+  // as soon as it reaches one. Options as for issueMoveOrder, the result is the one of the
+  // first leg; later legs are planned when the group gets to them.
+  issueWaypointOrder(map, fromX, fromY, waypoints, unitCount, options = {}) {
+    if (waypoints.length === 0) {
+      throw new Error('Waypoint orders need at least one waypoint');
+    }
+
+    const [first, ...rest] = waypoints;
+    const legs = rest.map((point) => ({
+      type: 'move', x: point.x, y: point.y, allowPartial: options.allowPartial,
+    }));
+    return this.issueMoveOrder(map, fromX, fromY, first.x, first.y, unitCount, {
+      ...options,
+      orders: [...legs, ...(options.orders || [])],
+    });
+  }
+
+  // Send the units of every castle stream that is due (see Castle.setStream) along its route,
+  // with the routes searched by a PathfindingService. Options as for issueMoveOrder. Streams
+  // whose order is refused are cleared, their castle would otherwise try again on every call.
+  // Returns a promise of { castle, result } per dispatch.
+  dispatchStreams(service, map, options = {}, now = Date.now()) {
+    const dispatches = [];
+
+    map.forEach((row) => row.forEach(({ castle }) => {
+      // Castles waiting for the route of a standing order do not dispatch again until it
+      // arrives, so the same units are not promised twice
+      if (!castle || this.dispatchingCastles.has(castle)) {
+        return;
+      }
+      const unitCount = castle.takeStreamUnits(now);
+      if (unitCount === 0) {
+        return;
+      }
+
+      const { stream } = castle;
+      const [target, ...legs] = stream.route;
+      const orders = legs.map((point) => ({
+        type: 'move', x: point.x, y: point.y, allowPartial: options.allowPartial,
+      }));
+      const dispatch = this.dispatchFromCastle(service, map, castle, target, unitCount, {
+        ...options,
+        orders,
+        isCurrent: () => castle.stream === stream,
+      }).then(({ result }) => {
+        // The stream may have been stopped or replaced while its route was searched
+        if (!result.success && result.status !== PATH_STATUS.CANCELLED
+            && castle.stream === stream) {
+          console.log(`🚫 Unit stream from (${castle.x}, ${castle.y}) stopped: ${result.reason}`);
+          castle.clearStream();
+        }
+        return { castle, result };
+      });
+      dispatches.push(dispatch);
+    }));
+
+    return Promise.all(dispatches);
   }
 
-  moveUnits(map, fromX, fromY, toX, toY, unitCount) {
+  // Standing orders are dropped when their castle changes hands during the search, or when
+  // options.isCurrent says the order itself was changed
+  dispatchFromCastle(service, map, castle, target, unitCount, options) {
+    const { factionId } = castle;
+    const isCurrent = options.isCurrent || (() => true);
+    this.dispatchingCastles.add(castle);
+    return this.issueMoveOrderAsync(
+      service,
+      map,
+      castle.x,
+      castle.y,
+      target.x,
+      target.y,
+      unitCount,
+      { ...options, isCurrent: () => castle.factionId === factionId && isCurrent() },
+    ).then((result) => ({ castle, result }))
+      .finally(() => this.dispatchingCastles.delete(castle));
+  }
+
+  // Send the production of castles with a rally point there (see Castle.setRallyPoint), same
+  // arguments and result as dispatchStreams. Unreachable rally points are removed.
+  dispatchRallyPoints(service, map, options = {}, now = Date.now()) {
+    const dispatches = [];
+
+    map.forEach((row) => row.forEach(({ castle }) => {
+      if (!castle || this.dispatchingCastles.has(castle)) {
+        return;
+      }
+      const unitCount = castle.takeRallyUnits(now);
+      if (unitCount === 0) {
+        return;
+      }
+
+      const { rallyPoint } = castle;
+      const dispatch = this.dispatchFromCastle(service, map, castle, rallyPoint, unitCount, {
+        ...options,
+        isCurrent: () => castle.rallyPoint === rallyPoint,
+      }).then(({ result }) => {
+        // The rally point may have been moved or removed while its route was searched
+        if (!result.success && result.status !== PATH_STATUS.CANCELLED
+            && castle.rallyPoint === rallyPoint) {
+          console.log(`🚫 Rally point of (${castle.x}, ${castle.y}) removed: ${result.reason}`);
+          castle.clearRallyPoint();
+        }
+        return { castle, result };
+      });
+      dispatches.push(dispatch);
+    }));
+
+    return Promise.all(dispatches);
+  }
+
+  // Order units from one tile to another. With options.allowPartial an unreachable target is
+  // replaced by the closest reachable tile, with options.flowField the path is taken from the
+  // shared flow field towards the target. options.riskWeight above 0 makes the path avoid
+  // enemy units and castles (see ThreatSystem.createCostOverlay); flow fields ignore it.
+  // Returns { success, status, reason, path, destination } where status is a PATH_STATUS
+  // value, so the UI can say why an order was shortened or refused.
+  // With a pathfinder that plans routes (findRoute/refineSegment) only the first segment is
+  // refined up front and path holds just that segment. options.pathResult skips the search
+  // and uses a path found beforehand (see issueMoveOrderAsync), options.factionId refuses the
+  // order when the units on the tile belong to another faction. options.orders are queued on
+  // the group and carried out in turn after it arrives (see Unit.orderQueue).
+  issueMoveOrder(map, fromX, fromY, toX, toY, unitCount, options = {}) {
+    const orders = options.orders || [];
+    orders.forEach((order) => this.validateOrder(order));
+
     // Prevent moving to the same location
     if (fromX === toX && fromY === toY) {
-      console.log('Cannot move units to the same location');
-      return false;
+      return this.refuseOrder(PATH_STATUS.INVALID, 'Cannot move units to the same location');
     }
 
     const fromTile = map[fromY][fromX];
-    const toTile = map[toY][toX];
 
     // Validate movement
     if (!this.canMoveUnits(fromTile, unitCount)) {
-      return false;
+      return this.refuseOrder(PATH_STATUS.INVALID, 'Not enough units to send');
     }
 
     // Get available units (prioritize non-moving units first)
     const availableUnits = this.getAvailableUnits(fromTile, unitCount);
 
     if (availableUnits.totalCount < unitCount) {
-      return false;
+      return this.refuseOrder(PATH_STATUS.INVALID, 'Not enough units to send');
+    }
+
+    const { factionId } = availableUnits.units[0];
+    // Orders found in the background belong to the faction that gave them (see
+    // issueMoveOrderAsync), the tile or castle may have been taken in the meantime
+    if (options.factionId !== undefined && factionId !== options.factionId) {
+      return this.refuseOrder(PATH_STATUS.INVALID, 'Units are no longer under your command');
     }
+    const riskWeight = options.riskWeight || 0;
 
     // Find path
-    const path = PathfindingSystem.findPath(map, fromX, fromY, toX, toY);
-    if (path.length === 0 && (fromX !== toX || fromY !== toY)) {
-      return false; // No valid path found
+    const pathResult = options.pathResult
+      ? { waypoints: [], ...options.pathResult }
+      : this.planPath(map, fromX, fromY, toX, toY, {
+        allowPartial: options.allowPartial,
+        flowField: options.flowField,
+        costOverlay: this.getCostOverlay(map, factionId, unitCount, riskWeight),
+      });
+    const { path, status } = pathResult;
+    if (path.length === 0) {
+      return this.refuseOrder(status, ORDER_REFUSED_REASONS[status]);
+    }
+
+    // Partial paths end at the closest reachable tile instead of the target
+    const destination = pathResult.end;
+    const reason = this.getShortenedReason(status, destination);
+    if (reason) {
+      console.log(`⚠️ ${reason}`);
     }
 
     // Create moving unit
-    const { factionId } = availableUnits.units[0];
     const faction = GAME_CONFIG.FACTIONS.find((f) => f.id === factionId);
 
     const movingUnit = new Unit(factionId, unitCount);
     movingUnit.setPosition(fromX * GAME_CONFIG.TILE_SIZE, fromY * GAME_CONFIG.TILE_SIZE);
 
     // Convert path to pixel coordinates
-    const pixelPath = path.map((point) => ({
-      x: point.x * GAME_CONFIG.TILE_SIZE,
-      y: point.y * GAME_CONFIG.TILE_SIZE,
-    }));
+    const pixelPath = this.toPixelPath(path);
 
     movingUnit.setPath(pixelPath);
+    movingUnit.waypoints = pathResult.waypoints;
+    // Paths found by a PathfindingService may predate the current revision and are checked
+    // on the first tile transition
+    movingUnit.pathRevision = options.pathResult ? -1 : PathfindingSystem.getMapRevision(map);
+    movingUnit.orderQueue = [...orders];
+    movingUnit.riskWeight = riskWeight;
     movingUnit.speed = GAME_CONFIG.ANIMATION.UNIT_SPEED;
-    movingUnit.destinationTile = { x: toX, y: toY };
+    movingUnit.destinationTile = { x: destination.x, y: destination.y };
     movingUnit.originTile = { x: fromX, y: fromY };
 
     // Remove units from source
@@ -67,9 +290,379 @@ export class MovementSystem {
     const pathStr = pixelPath.map(p => `(${p.x/GAME_CONFIG.TILE_SIZE},${p.y/GAME_CONFIG.TILE_SIZE})`).join(' -> ');
     console.log(`🗺️ Unit path: ${pathStr}`);
 
+    return {
+      success: true, status, reason, path, destination,
+    };
+  }
+
+  // Same as issueMoveOrder with the path searched by a PathfindingService, so long searches
+  // do not block the main thread. Returns a promise of the issueMoveOrder result. Orders
+  // sharing options.channel supersede each other while their search is pending, the older
+  // one is then refused with PATH_STATUS.CANCELLED. So is an order whose options.isCurrent
+  // returns false once the search is done.
+  issueMoveOrderAsync(service, map, fromX, fromY, toX, toY, unitCount, options = {}) {
+    const { units } = this.getAvailableUnits(map[fromY][fromX], unitCount);
+    if (units.length === 0 || (fromX === toX && fromY === toY)) {
+      // Refused without a search
+      return Promise.resolve(this.issueMoveOrder(map, fromX, fromY, toX, toY, unitCount, options));
+    }
+
+    const { factionId } = units[0];
+    const costOverlay = this.getCostOverlay(map, factionId, unitCount, options.riskWeight || 0);
+    return this.planPathAsync(service, map, fromX, fromY, toX, toY, {
+      allowPartial: options.allowPartial, channel: options.channel, costOverlay,
+    }).then((pathResult) => {
+      const { CANCELLED } = PATH_STATUS;
+      if (pathResult.status === CANCELLED || (options.isCurrent && !options.isCurrent())) {
+        return this.refuseOrder(CANCELLED, ORDER_REFUSED_REASONS[CANCELLED]);
+      }
+      // Units and castles may have changed hands during the search, issueMoveOrder checks
+      // again that they are still there and still belong to the ordering faction
+      return this.issueMoveOrder(map, fromX, fromY, toX, toY, unitCount, {
+        ...options, pathResult, factionId,
+      });
+    });
+  }
+
+  // planPath for issueMoveOrderAsync. Maps planned in routes keep their route, which is quick
+  // to find on the abstract graph: only its first segment is searched by the service and the
+  // rest is refined on the way as usual (see refineNextSegment).
+  planPathAsync(service, map, fromX, fromY, toX, toY, options) {
+    const pathfinder = this.getPathfinder(map);
+    if (!pathfinder.findRoute) {
+      return service.findPath(map, fromX, fromY, toX, toY, options);
+    }
+
+    const route = pathfinder.findRoute(map, fromX, fromY, toX, toY, options);
+    const [first, ...waypoints] = route.waypoints;
+    if (!first) {
+      return Promise.resolve({ status: route.status, path: [], end: route.end });
+    }
+
+    return service.findPath(map, fromX, fromY, first.x, first.y, {
+      channel: options.channel, costOverlay: options.costOverlay,
+    }).then((segment) => {
+      if (segment.status !== PATH_STATUS.COMPLETE) {
+        // Cancelled, or the first waypoint was cut off during the search
+        return { ...segment, path: [] };
+      }
+      return {
+        status: route.status, path: segment.path, end: route.end, waypoints,
+      };
+    });
+  }
+
+  // Moving unit drawn at a world position (within half a tile of its centre), the closest one
+  // when several overlap, or null
+  getMovingUnitAt(worldX, worldY) {
+    const half = GAME_CONFIG.TILE_SIZE / 2;
+    let closest = null;
+    let closestDistance = half;
+
+    this.movingUnits.forEach((unit) => {
+      const distance = Math.hypot(worldX - (unit.x + half), worldY - (unit.y + half));
+      if (distance <= closestDistance) {
+        closest = unit;
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }
+
+  // Send a moving unit somewhere else. The new path starts at the tile the unit is closest to,
+  // so a unit between two tiles first returns to that tile. Queued orders are replaced by
+  // options.orders. Options and result as for issueMoveOrder; when there is no path the unit
+  // keeps its current order. Redirecting a unit to the tile it is on stops it there.
+  redirectUnit(unit, map, toX, toY, options = {}) {
+    this.assertMoving(unit);
+    const orders = options.orders || [];
+    orders.forEach((order) => this.validateOrder(order));
+
+    const current = this.getUnitTile(unit);
+    if (current.x === toX && current.y === toY) {
+      return this.cancelOrder(unit, map);
+    }
+
+    const riskWeight = options.riskWeight !== undefined ? options.riskWeight : unit.riskWeight;
+    const pathResult = this.planPath(map, current.x, current.y, toX, toY, {
+      allowPartial: options.allowPartial,
+      costOverlay: this.getCostOverlay(map, unit.factionId, unit.count, riskWeight),
+    });
+    const { path, status } = pathResult;
+    if (path.length === 0) {
+      return this.refuseOrder(status, ORDER_REFUSED_REASONS[status]);
+    }
+
+    const destination = pathResult.end;
+    const reason = this.getShortenedReason(status, destination);
+    console.log(`🔀 Unit redirected to (${destination.x}, ${destination.y})`);
+
+    unit.setPath(this.toPixelPath([current, ...path]));
+    unit.waypoints = pathResult.waypoints;
+    unit.riskWeight = riskWeight;
+    unit.destinationTile = { x: destination.x, y: destination.y };
+    unit.pathRevision = PathfindingSystem.getMapRevision(map);
+    unit.orderQueue = [...orders];
+    unit.holdTime = 0;
+
+    return {
+      success: true, status, reason, path, destination,
+    };
+  }
+
+  // Send a moving unit back to the tile it was ordered from
+  recallUnit(unit, map, options = {}) {
+    this.assertMoving(unit);
+    const { x, y } = unit.originTile;
+    return this.redirectUnit(unit, map, x, y, { ...options, orders: [] });
+  }
+
+  // Stop a moving unit on the tile it is closest to. It joins whatever is there as if it had
+  // arrived, fighting included. Returns a result like issueMoveOrder with that tile.
+  cancelOrder(unit, map) {
+    this.assertMoving(unit);
+    const current = this.getUnitTile(unit);
+    console.log(`✋ Order cancelled, stopping at (${current.x}, ${current.y})`);
+
+    unit.setPosition(current.x * GAME_CONFIG.TILE_SIZE, current.y * GAME_CONFIG.TILE_SIZE);
+    unit.setPath([]);
+    unit.waypoints = [];
+    unit.orderQueue = [];
+    unit.holdTime = 0;
+    unit.destinationTile = current;
+
+    this.tileEventSystem.removeUnit(unit.id);
+    this.movingUnits.splice(this.movingUnits.indexOf(unit), 1);
+    this.completeMovement(unit, map);
+
+    return {
+      success: true, status: PATH_STATUS.COMPLETE, reason: null, path: [], destination: current,
+    };
+  }
+
+  assertMoving(unit) {
+    if (!this.movingUnits.includes(unit)) {
+      throw new Error('Unit is not moving, it may have arrived or been destroyed');
+    }
+  }
+
+  // Path result with the waypoints still to be refined after the returned path
+  planPath(map, fromX, fromY, toX, toY, options) {
+    if (options.flowField) {
+      const field = FlowFieldSystem.getFlowField(map, toX, toY);
+      if (field && FlowFieldSystem.getDistance(field, fromX, fromY) !== Infinity) {
+        return {
+          status: PATH_STATUS.COMPLETE,
+          path: FlowFieldSystem.getPath(field, fromX, fromY),
+          end: { x: toX, y: toY },
+          waypoints: [],
+        };
+      }
+      // Invalid and unreachable targets are reported by the pathfinder
+    }
+
+    const pathfinder = this.getPathfinder(map);
+    if (!pathfinder.findRoute) {
+      return {
+        ...pathfinder.findPathResult(map, fromX, fromY, toX, toY, options), waypoints: [],
+      };
+    }
+
+    const route = pathfinder.findRoute(map, fromX, fromY, toX, toY, options);
+    const [first, ...waypoints] = route.waypoints;
+    const path = first
+      ? pathfinder.refineSegment(map, { x: fromX, y: fromY }, first, options)
+      : [];
+    return {
+      status: route.status, path, end: route.end, waypoints,
+    };
+  }
+
+  // Give a unit that finished its path the next segment of its route. Returns false when
+  // there is none and no other way to the destination either, the unit then stops where it is.
+  refineNextSegment(unit, map) {
+    if (unit.waypoints.length === 0) {
+      return false;
+    }
+
+    const current = this.getUnitTile(unit);
+    const next = unit.waypoints.shift();
+    // Threats are looked at again for every segment since enemies move in the meantime
+    const segment = this.getPathfinder(map).refineSegment(map, current, next, {
+      costOverlay: this.getCostOverlay(map, unit.factionId, unit.count, unit.riskWeight),
+    });
+
+    if (segment.length === 0) {
+      // The waypoint was cut off, the rest of the route is planned again
+      return this.repath(unit, map);
+    }
+
+    unit.setPath(this.toPixelPath(segment));
+    unit.pathRevision = PathfindingSystem.getMapRevision(map);
+    return true;
+  }
+
+  // Called whenever a unit reaches the next tile of its path. Terrain and castles may have
+  // changed since the path was found, so the rest of it is checked once per map revision and
+  // planned again from the current tile when it runs into a tile that can no longer be
+  // entered. Returns false when the unit had to stop (see repath).
+  checkPath(unit, map) {
+    const revision = PathfindingSystem.getMapRevision(map);
+    if (unit.pathRevision === revision) {
+      return true;
+    }
+    unit.pathRevision = revision;
+
+    const isBlocked = unit.path
+      .slice(unit.pathIndex)
+      .some((point) => !this.canEnter(this.getTileAtPixel(map, point)));
+    return isBlocked ? this.repath(unit, map) : true;
+  }
+
+  // Same rule as PathfindingSystem.createCostGrid: castles can be entered on any terrain
+  canEnter(tile) {
+    return tile.isPassable() || Boolean(tile.castle);
+  }
+
+  // New path from the unit's tile to its destination. Without one the unit stops on its tile
+  // and a UNIT_PATH_BLOCKED event is queued (see takeEvents). Returns false in that case.
+  repath(unit, map) {
+    const current = this.getUnitTile(unit);
+    const destination = unit.destinationTile;
+    const result = this.planPath(map, current.x, current.y, destination.x, destination.y, {
+      costOverlay: this.getCostOverlay(map, unit.factionId, unit.count, unit.riskWeight),
+    });
+
+    if (result.status === PATH_STATUS.COMPLETE && result.path.length > 0) {
+      console.log(`🔀 Route to (${destination.x}, ${destination.y}) changed, repathing from (${current.x}, ${current.y})`);
+      unit.setPath(this.toPixelPath(result.path));
+      unit.waypoints = result.waypoints;
+      unit.pathRevision = PathfindingSystem.getMapRevision(map);
+      return true;
+    }
+
+    this.stopUnit(unit, current, destination);
+    return false;
+  }
+
+  // Stop a unit on its tile for good, dropping its queued orders, and queue UNIT_PATH_BLOCKED
+  stopUnit(unit, current, destination) {
+    console.log(`⚠️ Route to (${destination.x}, ${destination.y}) is blocked, stopping at (${current.x}, ${current.y})`);
+    unit.setPath([]);
+    unit.waypoints = [];
+    unit.orderQueue = [];
+    unit.destinationTile = current;
+    this.eventQueue.push({
+      type: 'UNIT_PATH_BLOCKED',
+      unitId: unit.id,
+      unit,
+      tile: current,
+      destination,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Append an order to a moving group's queue
+  queueOrder(unit, order) {
+    this.validateOrder(order);
+    unit.orderQueue.push(order);
+  }
+
+  validateOrder(order) {
+    if (!ORDER_TYPES.includes(order.type)) {
+      throw new Error(`Unknown order type: ${order.type}`);
+    }
+    if (order.type === 'hold' && !(order.duration > 0)) {
+      throw new Error('Hold orders need a duration above 0');
+    }
+  }
+
+  // Carry out the next queued order of a group that finished its leg or hold. Returns false
+  // when the queue is empty or the next leg cannot be walked, the unit then stops where it is.
+  startNextOrder(unit, map) {
+    const order = unit.orderQueue.shift();
+    if (!order) {
+      return false;
+    }
+    if (order.type === 'hold') {
+      unit.holdTime = order.duration;
+      return true;
+    }
+
+    const current = this.getUnitTile(unit);
+    if (current.x === order.x && current.y === order.y) {
+      return this.startNextOrder(unit, map);
+    }
+
+    const target = { x: order.x, y: order.y };
+    const result = this.planPath(map, current.x, current.y, target.x, target.y, {
+      allowPartial: order.allowPartial,
+      costOverlay: this.getCostOverlay(map, unit.factionId, unit.count, unit.riskWeight),
+    });
+    if (result.path.length === 0) {
+      this.stopUnit(unit, current, target);
+      return false;
+    }
+
+    console.log(`📍 Next leg: (${current.x}, ${current.y}) -> (${result.end.x}, ${result.end.y})`);
+    unit.setPath(this.toPixelPath(result.path));
+    unit.waypoints = result.waypoints;
+    unit.destinationTile = { x: result.end.x, y: result.end.y };
+    unit.pathRevision = PathfindingSystem.getMapRevision(map);
     return true;
   }
 
+  // Events queued since the last call, oldest first
+  takeEvents() {
+    return this.eventQueue.splice(0);
+  }
+
+  getUnitTile(unit) {
+    return {
+      x: Math.round(unit.x / GAME_CONFIG.TILE_SIZE),
+      y: Math.round(unit.y / GAME_CONFIG.TILE_SIZE),
+    };
+  }
+
+  // Threat costs for a group of this faction, null when the order ignores threats or there
+  // are no enemies to avoid
+  getCostOverlay(map, factionId, unitCount, riskWeight) {
+    if (!riskWeight) {
+      return null;
+    }
+    const overlay = ThreatSystem.createCostOverlay(
+      map,
+      factionId,
+      unitCount,
+      riskWeight,
+      this.movingUnits,
+    );
+    // Without any enemies the plain movement costs apply
+    return overlay.some((cost) => cost > 0) ? overlay : null;
+  }
+
+  toPixelPath(path) {
+    return path.map((point) => ({
+      x: point.x * GAME_CONFIG.TILE_SIZE,
+      y: point.y * GAME_CONFIG.TILE_SIZE,
+    }));
+  }
+
+  // Why an order ends short of its target, null when it does not
+  getShortenedReason(status, destination) {
+    if (status === PATH_STATUS.COMPLETE) {
+      return null;
+    }
+    return `${ORDER_SHORTENED_REASONS[status]} - moving to (${destination.x}, ${destination.y}) instead`;
+  }
+
+  refuseOrder(status, reason) {
+    console.log(`Movement refused: ${reason}`);
+    return {
+      success: false, status, reason, path: [], destination: null,
+    };
+  }
+
   update(deltaTime, map) {
     const completedUnits = [];
     const allTileEvents = [];
@@ -79,7 +672,7 @@ export class MovementSystem {
     for (let i = this.movingUnits.length - 1; i >= 0; i--) {
       const unit = this.movingUnits[i];
       const faction = GAME_CONFIG.FACTIONS.find((f) => f.id === unit.factionId);
-      const isComplete = unit.update(deltaTime, faction.speed);
+      const isComplete = this.updateUnit(unit, deltaTime, map, faction);
       
       // Update tile tracking and get events
       const events = this.tileEventSystem.updateUnit(unit, map);
@@ -112,6 +705,75 @@ export class MovementSystem {
     });
   }
 
+  // Advance one moving unit, returns true when it has nothing left to do
+  updateUnit(unit, deltaTime, map, faction) {
+    if (unit.holdTime > 0) {
+      unit.holdTime = Math.max(0, unit.holdTime - deltaTime);
+      return unit.holdTime === 0 && !this.startNextOrder(unit, map);
+    }
+
+    const terrainSpeed = this.getSegmentSpeedMultiplier(unit, map, faction);
+    const previousIndex = unit.pathIndex;
+    const hasArrived = unit.update(deltaTime, faction.speed, terrainSpeed);
+    // Units on a lazily refined route continue with the next segment and then with their
+    // queued orders, units that only reached the next tile make sure the rest of their path
+    // can still be walked
+    if (hasArrived) {
+      return !this.refineNextSegment(unit, map) && !this.startNextOrder(unit, map);
+    }
+    return unit.pathIndex !== previousIndex && !this.checkPath(unit, map);
+  }
+
+  // Speed multiplier for the segment a unit is walking, taken from the tile it is entering
+  // so that travel time follows the movement costs used by pathfinding
+  getSegmentSpeedMultiplier(unit, map, faction) {
+    const target = unit.path[unit.pathIndex];
+    if (!target) {
+      return 1;
+    }
+
+    return this.getTerrainSpeedMultiplier(this.getTileAtPixel(map, target), faction);
+  }
+
+  getTileAtPixel(map, point) {
+    const tileX = Math.round(point.x / GAME_CONFIG.TILE_SIZE);
+    const tileY = Math.round(point.y / GAME_CONFIG.TILE_SIZE);
+    return map[tileY][tileX];
+  }
+
+  getTerrainSpeedMultiplier(tile, faction) {
+    const modifiers = faction.terrainSpeedModifiers || {};
+    const factionModifier = modifiers[tile.type.name] !== undefined
+      ? modifiers[tile.type.name]
+      : 1;
+    return factionModifier / tile.getMovementCost();
+  }
+
+  // Milliseconds until a moving unit reaches its destination at its current terrain speeds.
+  // Waypoints not refined yet are counted as straight lines.
+  estimateTravelTime(unit, map) {
+    if (!unit.isMoving || unit.pathIndex >= unit.path.length) {
+      return 0;
+    }
+
+    const faction = GAME_CONFIG.FACTIONS.find((f) => f.id === unit.factionId);
+    const baseSpeed = unit.speed * faction.speed;
+    let previous = { x: unit.x, y: unit.y };
+    let time = 0;
+
+    const points = [...unit.path.slice(unit.pathIndex), ...this.toPixelPath(unit.waypoints)];
+
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      const terrainSpeed = this.getTerrainSpeedMultiplier(this.getTileAtPixel(map, point), faction);
+      const distance = Math.hypot(point.x - previous.x, point.y - previous.y);
+      time += (distance / (baseSpeed * terrainSpeed)) * 1000;
+      previous = point;
+    }
+
+    return time;
+  }
+
   resolveCombatSituations(combatSituations, map) {
     combatSituations.forEach(situation => {
       if (situation.type === 'MOVING_UNIT_COMBAT') {
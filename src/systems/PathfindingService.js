@@ -0,0 +1,154 @@
+import { PathfindingSystem, PATH_STATUS } from './PathfindingSystem.js';
+
+// Asynchronous pathfinding with promises. Searches run in a Web Worker
+// (src/workers/PathfindingWorker.js) that gets the map's cost grid whenever the map changes.
+// Where there are no workers (Node, Jest) searches run through PathfindingSystem after the
+// current task instead, so callers see the same promises and cancellation either way.
+export class PathfindingService {
+  // options.worker replaces the worker the service would start, null forces the fallback
+  constructor(options = {}) {
+    this.worker = options.worker !== undefined ? options.worker : PathfindingService.createWorker();
+    this.nextRequestId = 1;
+    this.pending = new Map(); // request id -> { resolve, channel, map, query }
+    this.channels = new Map(); // channel -> id of its latest request
+    this.syncedMap = null;
+    this.syncedRevision = -1;
+
+    if (this.worker) {
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerError(event);
+    }
+  }
+
+  static createWorker() {
+    if (typeof Worker === 'undefined') {
+      return null;
+    }
+
+    try {
+      return new Worker(new URL('../workers/PathfindingWorker.js', import.meta.url), {
+        type: 'module',
+      });
+    } catch (error) {
+      console.warn(`Pathfinding worker unavailable, searching on the main thread: ${error.message}`);
+      return null;
+    }
+  }
+
+  usesWorker() {
+    return this.worker !== null;
+  }
+
+  // Promise of a PathfindingSystem.findPathResult result, with the same options plus channel:
+  // a newer request on the same channel supersedes the previous one, which then resolves
+  // straight away with PATH_STATUS.CANCELLED.
+  findPath(map, startX, startY, endX, endY, options = {}) {
+    const { channel, ...searchOptions } = options;
+    const query = {
+      startX,
+      startY,
+      endX,
+      endY,
+      options: { ...searchOptions, ...PathfindingSystem.getMovementRules(searchOptions) },
+    };
+
+    const id = this.nextRequestId++;
+    if (channel !== undefined) {
+      this.cancelChannel(channel);
+      this.channels.set(channel, id);
+    }
+
+    return new Promise((resolve) => {
+      this.pending.set(id, {
+        resolve, channel, map, query,
+      });
+      this.dispatch(id);
+    });
+  }
+
+  // Cancel the pending request of a channel, if any
+  cancelChannel(channel) {
+    const id = this.channels.get(channel);
+    if (id === undefined || !this.pending.has(id)) {
+      return;
+    }
+
+    if (this.worker) {
+      // Spares the worker the search if it has not started it yet
+      this.worker.postMessage({ type: 'cancel', id });
+    }
+    this.cancelRequest(id);
+  }
+
+  // Cancel everything pending and stop the worker
+  terminate() {
+    [...this.pending.keys()].forEach((id) => this.cancelRequest(id));
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  dispatch(id) {
+    const { map, query } = this.pending.get(id);
+
+    if (this.worker) {
+      this.syncGrid(map);
+      this.worker.postMessage({ type: 'find', id, query });
+      return;
+    }
+
+    setTimeout(() => {
+      // Superseded in the meantime
+      if (!this.pending.has(id)) {
+        return;
+      }
+      const {
+        startX, startY, endX, endY, options,
+      } = query;
+      this.finish(id, PathfindingSystem.findPathResult(map, startX, startY, endX, endY, options));
+    }, 0);
+  }
+
+  // Send the cost grid when the worker has not seen this map or its current revision
+  syncGrid(map) {
+    const revision = PathfindingSystem.getMapRevision(map);
+    if (this.syncedMap === map && this.syncedRevision === revision) {
+      return;
+    }
+
+    this.worker.postMessage({ type: 'grid', grid: PathfindingSystem.getCostGrid(map) });
+    this.syncedMap = map;
+    this.syncedRevision = revision;
+  }
+
+  handleMessage(message) {
+    // Results of cancelled requests are no longer awaited
+    if (message.type === 'result' && this.pending.has(message.id)) {
+      this.finish(message.id, message.result);
+    }
+  }
+
+  // A broken worker should not take pathfinding down with it
+  handleWorkerError(event) {
+    console.warn(`Pathfinding worker failed, searching on the main thread: ${event.message}`);
+    this.worker.terminate();
+    this.worker = null;
+    [...this.pending.keys()].forEach((id) => this.dispatch(id));
+  }
+
+  cancelRequest(id) {
+    const { query } = this.pending.get(id);
+    const { startX, startY } = query;
+    this.finish(id, PathfindingSystem.createResult(PATH_STATUS.CANCELLED, [], startX, startY));
+  }
+
+  finish(id, result) {
+    const { resolve, channel } = this.pending.get(id);
+    this.pending.delete(id);
+    if (channel !== undefined && this.channels.get(channel) === id) {
+      this.channels.delete(channel);
+    }
+    resolve(result);
+  }
+}
@@ -1,126 +1,355 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { BinaryHeap } from '../utils/BinaryHeap.js';
+
+// Steps as x and y offsets, the four orthogonal ones first
+const DIRECTION_X = [0, 1, 0, -1, 1, 1, -1, -1]; // Up, Right, Down, Left, then diagonals
+const DIRECTION_Y = [-1, 0, 1, 0, -1, 1, 1, -1];
+const ORTHOGONAL_DIRECTIONS = 4;
+
+const CORNER_CUTTING_RULES = ['never', 'single', 'squeeze'];
+
+const DEFAULT_MAX_TIME = GAME_CONFIG.ANIMATION.PATHFINDING_MAX_TIME;
+
+// Expanded nodes between two checks of the time budget
+const TIME_CHECK_INTERVAL = 256;
+
+// Outcome of a path query
+export const PATH_STATUS = {
+  COMPLETE: 'complete', // path reaches the target
+  PARTIAL: 'partial', // target unreachable, path leads to the closest reachable tile
+  TIMEOUT: 'timeout', // search ran out of time, path leads to the closest tile explored
+  INVALID: 'invalid', // start or target outside the map, or target impassable
+  CANCELLED: 'cancelled', // superseded by a newer request before it ran (PathfindingService)
+};
+
+// Cost grid and query results per map, dropped when the map revision changes
+const pathCaches = new WeakMap();
+
 export class PathfindingSystem {
-  static findPath(map, startX, startY, endX, endY, maxTime = 100) {
+  // Path as an array of tiles (start excluded), empty unless the target is reached
+  static findPath(map, startX, startY, endX, endY, maxTime = DEFAULT_MAX_TIME, options = {}) {
+    return this.findPathResult(map, startX, startY, endX, endY, {
+      ...options, maxTime, allowPartial: false,
+    }).path;
+  }
+
+  // Moving onto a tile costs its terrain movementCost (see Tile.getMovementCost).
+  // Options: maxTime, allowPartial (return the path to the closest reachable tile when the
+  // target cannot be reached), diagonal and cornerCutting (default to GAME_CONFIG.PATHFINDING),
+  // cache (default true, reuse results until the map revision changes) and costOverlay
+  // (extra cost of entering each tile by index, see ThreatSystem; cached per overlay contents).
+  // Returns { status, path, end, expanded } where end is the tile the path leads to and
+  // expanded the number of tiles the search expanded, a machine-independent measure of its work.
+  static findPathResult(map, startX, startY, endX, endY, options = {}) {
+    const rules = this.getMovementRules(options);
+    const cache = options.cache !== false ? this.getCache(map) : null;
+    const key = [startX, startY, endX, endY, rules.diagonal, rules.cornerCutting,
+      Boolean(options.allowPartial), this.getOverlayKey(options.costOverlay)].join(',');
+
+    if (cache && cache.results.has(key)) {
+      return this.copyResult(cache.results.get(key));
+    }
+
+    const result = this.searchPath(map, startX, startY, endX, endY, { ...options, ...rules });
+
+    // Timeouts depend on the time budget, everything else only on the map
+    if (cache && result.status !== PATH_STATUS.TIMEOUT) {
+      if (cache.results.size >= GAME_CONFIG.PATHFINDING.CACHE_SIZE) {
+        cache.results.delete(cache.results.keys().next().value);
+      }
+      cache.results.set(key, this.copyResult(result));
+    }
+    return result;
+  }
+
+  // Overlays are mostly zero, so the non-zero entries identify one compactly. Queries made
+  // while the threats stay the same share their results.
+  static getOverlayKey(costOverlay) {
+    if (!costOverlay) {
+      return '';
+    }
+    const entries = [];
+    costOverlay.forEach((cost, index) => {
+      if (cost !== 0) {
+        entries.push(`${index}:${cost}`);
+      }
+    });
+    return entries.join(';');
+  }
+
+  static searchPath(map, startX, startY, endX, endY, options) {
+    const grid = options.cache === false ? this.createCostGrid(map) : this.getCostGrid(map);
+    return this.searchGrid(grid, startX, startY, endX, endY, options);
+  }
+
+  // A* over a cost grid from createCostGrid, which is all a pathfinding worker gets to see.
+  // Options as for findPathResult with the movement rules already resolved.
+  static searchGrid(grid, startX, startY, endX, endY, options) {
     const startTime = Date.now();
-    const mapHeight = map.length;
-    const mapWidth = map[0].length;
+    const maxTime = options.maxTime !== undefined ? options.maxTime : DEFAULT_MAX_TIME;
+    const { diagonal, cornerCutting } = options;
+    const { width, height, costs } = grid;
 
     // Validate coordinates
-    if (!this.isValidPosition(map, startX, startY)
-        || !this.isValidPosition(map, endX, endY)) {
-      return [];
+    if (!this.isInGrid(grid, startX, startY) || !this.isInGrid(grid, endX, endY)) {
+      return this.createResult(PATH_STATUS.INVALID, [], startX, startY);
     }
 
-    // If destination is not passable (except for castle tiles which are valid targets), return empty path
-    if (!map[endY][endX].isPassable() && !map[endY][endX].castle) {
-      return [];
+    // If destination cannot be entered (castle tiles always can), return empty path
+    const endIndex = endY * width + endX;
+    if (costs[endIndex] < 0) {
+      return this.createResult(PATH_STATUS.INVALID, [], startX, startY);
     }
 
-    // A* algorithm implementation
-    const openSet = [];
-    const closedSet = new Set();
-    const gScore = {};
-    const fScore = {};
-    const cameFrom = {};
+    // A* over tile indices (y * width + x) with typed-array scores
+    const overlay = options.costOverlay || null;
+    const nodeCount = width * height;
+    const startIndex = startY * width + startX;
+
+    const gScore = new Float64Array(nodeCount).fill(Infinity);
+    const cameFrom = new Int32Array(nodeCount).fill(-1);
+    const closed = new Uint8Array(nodeCount);
+    const openSet = new BinaryHeap(nodeCount);
+
+    // Scale the heuristic by the cheapest terrain on the map so it never overestimates
+    const costScale = grid.minCost;
+
+    const heuristic = diagonal ? this.octileHeuristic : this.heuristic;
+    const directionCount = diagonal ? DIRECTION_X.length : ORTHOGONAL_DIRECTIONS;
 
-    const startKey = `${startX},${startY}`;
-    const endKey = `${endX},${endY}`;
+    gScore[startIndex] = 0;
+    openSet.push(startIndex, heuristic(startX, startY, endX, endY, costScale));
 
-    // Initialize start node
-    gScore[startKey] = 0;
-    fScore[startKey] = this.heuristic(startX, startY, endX, endY);
-    openSet.push({ x: startX, y: startY, f: fScore[startKey] });
+    // Closest tile to the target found so far, by heuristic then by cost
+    let closest = startIndex;
+    let closestDistance = Infinity;
+    let status = PATH_STATUS.PARTIAL;
 
-    while (openSet.length > 0) {
+    let expanded = 0;
+    while (!openSet.isEmpty()) {
       // Check timeout
-      if (Date.now() - startTime > maxTime) {
+      if ((expanded + 1) % TIME_CHECK_INTERVAL === 0 && Date.now() - startTime > maxTime) {
+        status = PATH_STATUS.TIMEOUT;
         break;
       }
 
-      // Find node with lowest f score
-      openSet.sort((a, b) => a.f - b.f);
-      const current = openSet.shift();
-      const currentKey = `${current.x},${current.y}`;
+      const current = openSet.pop();
+      expanded++;
 
       // Reached goal
-      if (current.x === endX && current.y === endY) {
-        return this.reconstructPath(cameFrom, currentKey, startX, startY);
+      if (current === endIndex) {
+        const path = this.reconstructPath(cameFrom, endIndex, width);
+        return this.createResult(PATH_STATUS.COMPLETE, path, endX, endY, expanded);
       }
 
-      closedSet.add(currentKey);
+      closed[current] = 1;
+      const currentX = current % width;
+      const currentY = (current - currentX) / width;
+
+      const distance = heuristic(currentX, currentY, endX, endY, costScale);
+      if (distance < closestDistance
+          || (distance === closestDistance && gScore[current] < gScore[closest])) {
+        closest = current;
+        closestDistance = distance;
+      }
 
       // Check neighbors
-      const neighbors = this.getNeighbors(current.x, current.y, mapWidth, mapHeight);
+      for (let dir = 0; dir < directionCount; dir++) {
+        const dx = DIRECTION_X[dir];
+        const dy = DIRECTION_Y[dir];
+        const neighborX = currentX + dx;
+        const neighborY = currentY + dy;
+
+        if (neighborX >= 0 && neighborX < width && neighborY >= 0 && neighborY < height) {
+          const neighbor = neighborY * width + neighborX;
+          const isDiagonal = dir >= ORTHOGONAL_DIRECTIONS;
+          const enterCost = overlay ? costs[neighbor] + overlay[neighbor] : costs[neighbor];
+          const stepCost = isDiagonal ? enterCost * Math.SQRT2 : enterCost;
+
+          const canEnter = !closed[neighbor] && costs[neighbor] >= 0 && (!isDiagonal
+            || this.canStepDiagonally(grid, currentX, currentY, dx, dy, cornerCutting));
 
-      for (const neighbor of neighbors) {
-        const neighborKey = `${neighbor.x},${neighbor.y}`;
+          if (canEnter) {
+            const tentativeGScore = gScore[current] + stepCost;
 
-        if (closedSet.has(neighborKey) || (!map[neighbor.y][neighbor.x].isPassable() && !map[neighbor.y][neighbor.x].castle)) {
-          continue;
+            if (tentativeGScore < gScore[neighbor]) {
+              // New node or better path found
+              gScore[neighbor] = tentativeGScore;
+              cameFrom[neighbor] = current;
+              openSet.push(
+                neighbor,
+                tentativeGScore + heuristic(neighborX, neighborY, endX, endY, costScale),
+              );
+            }
+          }
         }
+      }
+    }
 
-        const tentativeGScore = gScore[currentKey] + 1;
-
-        const existingOpenNode = openSet.find((n) => n.x === neighbor.x && n.y === neighbor.y);
-        if (!existingOpenNode) {
-          // New node
-          gScore[neighborKey] = tentativeGScore;
-          fScore[neighborKey] = tentativeGScore + this.heuristic(neighbor.x, neighbor.y, endX, endY);
-          cameFrom[neighborKey] = currentKey;
-          openSet.push({ x: neighbor.x, y: neighbor.y, f: fScore[neighborKey] });
-        } else if (tentativeGScore < gScore[neighborKey]) {
-          // Better path found
-          gScore[neighborKey] = tentativeGScore;
-          fScore[neighborKey] = tentativeGScore + this.heuristic(neighbor.x, neighbor.y, endX, endY);
-          cameFrom[neighborKey] = currentKey;
-          existingOpenNode.f = fScore[neighborKey];
+    // No path found
+    if (!options.allowPartial) {
+      return this.createResult(status, [], startX, startY, expanded);
+    }
+    const closestX = closest % width;
+    return this.createResult(
+      status,
+      this.reconstructPath(cameFrom, closest, width),
+      closestX,
+      (closest - closestX) / width,
+      expanded,
+    );
+  }
+
+  static createResult(status, path, x, y, expanded = 0) {
+    return {
+      status, path, end: { x, y }, expanded,
+    };
+  }
+
+  static copyResult(result) {
+    const { status, path, end } = result;
+    return this.createResult(status, path.slice(), end.x, end.y, result.expanded);
+  }
+
+  // Maps count their edits in map.revision, so cached paths, graphs and flow fields get
+  // rebuilt. The counter is handed to every tile on first use and goes up whenever a tile's
+  // terrain or castle is replaced (see Tile.markChanged).
+  static getMapRevision(map) {
+    if (!map.revision) {
+      const revision = { count: 0 };
+      map.forEach((row) => row.forEach((tile) => { tile.mapRevision = revision; }));
+      map.revision = revision;
+    }
+    return map.revision.count;
+  }
+
+  // For edits the tiles cannot see, such as changing a tile type object in place
+  static markMapChanged(map) {
+    this.getMapRevision(map);
+    map.revision.count += 1;
+  }
+
+  static getCache(map) {
+    const revision = this.getMapRevision(map);
+    let cache = pathCaches.get(map);
+    if (!cache || cache.revision !== revision) {
+      cache = { revision, grid: null, results: new Map() };
+      pathCaches.set(map, cache);
+    }
+    return cache;
+  }
+
+  // Cost grid for the current map revision
+  static getCostGrid(map) {
+    const cache = this.getCache(map);
+    if (!cache.grid) {
+      cache.grid = this.createCostGrid(map);
+    }
+    return cache.grid;
+  }
+
+  static clearCache(map) {
+    pathCaches.delete(map);
+  }
+
+  static getMovementRules(options = {}) {
+    const config = GAME_CONFIG.PATHFINDING;
+    const diagonal = options.diagonal !== undefined ? options.diagonal : config.DIAGONAL_MOVEMENT;
+    const cornerCutting = options.cornerCutting || config.CORNER_CUTTING;
+
+    if (!CORNER_CUTTING_RULES.includes(cornerCutting)) {
+      throw new Error(`Unknown corner cutting rule: ${cornerCutting}`);
+    }
+    return { diagonal, cornerCutting };
+  }
+
+  // A diagonal step passes the two orthogonal tiles beside it; the corner cutting rule
+  // decides how many of them may be impassable
+  static canStepDiagonally(grid, x, y, dx, dy, cornerCutting) {
+    if (cornerCutting === 'squeeze') {
+      return true;
+    }
+
+    const { width, costs } = grid;
+    const blockedCorners = (costs[y * width + x + dx] < 0 ? 1 : 0)
+      + (costs[(y + dy) * width + x] < 0 ? 1 : 0);
+    return cornerCutting === 'single' ? blockedCorners < 2 : blockedCorners === 0;
+  }
+
+  // Flatten the map into per-tile step costs, -1 for tiles that cannot be entered.
+  // Castle tiles can always be entered since they are valid targets.
+  static createCostGrid(map) {
+    const height = map.length;
+    const width = map[0].length;
+    const costs = new Float32Array(width * height);
+    let minCost = 1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const tile = map[y][x];
+        if (tile.isPassable() || tile.castle) {
+          const cost = tile.getMovementCost();
+          costs[y * width + x] = cost;
+          if (tile.isPassable()) {
+            minCost = Math.min(minCost, cost);
+          }
+        } else {
+          costs[y * width + x] = -1;
         }
       }
     }
 
-    return []; // No path found
+    return {
+      width, height, costs, minCost,
+    };
   }
 
   static isValidPosition(map, x, y) {
     return x >= 0 && x < map[0].length && y >= 0 && y < map.length;
   }
 
-  static heuristic(x1, y1, x2, y2) {
-    return Math.abs(x1 - x2) + Math.abs(y1 - y2); // Manhattan distance
+  static isInGrid(grid, x, y) {
+    return x >= 0 && x < grid.width && y >= 0 && y < grid.height;
   }
 
-  static getNeighbors(x, y, width, height) {
-    const neighbors = [];
-    const directions = [
-      { x: 0, y: -1 }, // Up
-      { x: 1, y: 0 }, // Right
-      { x: 0, y: 1 }, // Down
-      { x: -1, y: 0 }, // Left
-    ];
+  static heuristic(x1, y1, x2, y2, costScale = 1) {
+    return (Math.abs(x1 - x2) + Math.abs(y1 - y2)) * costScale; // Manhattan distance
+  }
 
-    for (const dir of directions) {
-      const newX = x + dir.x;
-      const newY = y + dir.y;
+  // Octile distance for 8-directional movement: diagonal steps cost sqrt(2)
+  static octileHeuristic(x1, y1, x2, y2, costScale = 1) {
+    const dx = Math.abs(x1 - x2);
+    const dy = Math.abs(y1 - y2);
+    return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * costScale;
+  }
 
-      if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-        neighbors.push({ x: newX, y: newY });
-      }
-    }
+  // Lowest movement cost of any passable tile on the map, the cheapest possible step
+  static getMinimumMovementCost(map) {
+    return this.createCostGrid(map).minCost;
+  }
 
-    return neighbors;
+  // Total movement cost of walking a path returned by findPath from (startX, startY),
+  // diagonal steps counting sqrt(2) times the cost of the tile entered
+  static getPathCost(map, path, startX = null, startY = null) {
+    let previous = startX !== null ? { x: startX, y: startY } : null;
+    return path.reduce((sum, point) => {
+      const isDiagonal = previous && previous.x !== point.x && previous.y !== point.y;
+      const cost = map[point.y][point.x].getMovementCost() * (isDiagonal ? Math.SQRT2 : 1);
+      previous = point;
+      return sum + cost;
+    }, 0);
   }
 
-  static reconstructPath(cameFrom, currentKey, startX, startY) {
+  static reconstructPath(cameFrom, endIndex, width) {
     const path = [];
-    let current = currentKey;
+    let current = endIndex;
 
-    while (current) {
-      const [x, y] = current.split(',').map(Number);
-      if (x !== startX || y !== startY) { // Don't include start position
-        path.unshift({ x, y });
-      }
+    // The start node has no predecessor and is not included
+    while (cameFrom[current] !== -1) {
+      path.push({ x: current % width, y: Math.floor(current / width) });
       current = cameFrom[current];
     }
 
-    return path;
+    return path.reverse();
   }
 }
@@ -0,0 +1,62 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+
+// Enemy presence on the map as seen by one faction, turned into extra movement costs so
+// that orders can prefer routes that do not run into enemy stacks on the way
+export class ThreatSystem {
+  // Enemy strength per tile index (y * width + x): stationary units, castle garrisons
+  // (neutral ones included, entering them means a fight) and moving units on the tile
+  // they stand on and the tile they are heading for
+  static getThreatGrid(map, factionId, movingUnits = []) {
+    const height = map.length;
+    const width = map[0].length;
+    const threat = new Float32Array(width * height);
+
+    map.forEach((row) => row.forEach((tile) => {
+      const index = tile.y * width + tile.x;
+      tile.units.forEach((unit) => {
+        if (unit.factionId !== factionId) {
+          threat[index] += unit.count;
+        }
+      });
+      if (tile.castle && tile.castle.factionId !== factionId) {
+        threat[index] += tile.castle.unitCount;
+      }
+    }));
+
+    movingUnits.forEach((unit) => {
+      if (unit.factionId === factionId) {
+        return;
+      }
+      const tiles = [{ x: unit.x, y: unit.y }];
+      if (unit.isMoving && unit.path[unit.pathIndex]) {
+        tiles.push(unit.path[unit.pathIndex]);
+      }
+      // Units sitting exactly on a tile would otherwise count twice
+      const indices = new Set(tiles
+        .map((point) => this.getTileIndex(point, width, height))
+        .filter((index) => index !== -1));
+      indices.forEach((index) => { threat[index] += unit.count; });
+    });
+
+    return threat;
+  }
+
+  // Extra cost of entering each tile for a group of unitCount units, for the costOverlay
+  // option of PathfindingSystem.findPathResult. A tile holding enemies as strong as the
+  // group costs riskWeight more, weaker enemies proportionally less.
+  static createCostOverlay(map, factionId, unitCount, riskWeight, movingUnits = []) {
+    const threat = this.getThreatGrid(map, factionId, movingUnits);
+    const scale = riskWeight / Math.max(1, unitCount);
+    return threat.map((strength) => strength * scale);
+  }
+
+  // Tile index of a pixel position, -1 outside the map
+  static getTileIndex(point, width, height) {
+    const x = Math.floor(point.x / GAME_CONFIG.TILE_SIZE);
+    const y = Math.floor(point.y / GAME_CONFIG.TILE_SIZE);
+    if (x < 0 || x >= width || y < 0 || y >= height) {
+      return -1;
+    }
+    return y * width + x;
+  }
+}
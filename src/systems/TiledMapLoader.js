@@ -0,0 +1,242 @@
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { MapSerializer, MAP_FORMAT, MAP_FORMAT_VERSION } from './MapSerializer.js';
+import { MapFormatError } from './MapFormatError.js';
+
+// Tiled stores flip/rotation flags in the top three bits of every gid,
+// so the tile id is the gid modulo 2^29
+const GID_FLAGS_START = 0x20000000;
+
+/**
+ * Loads maps authored in the Tiled editor (https://www.mapeditor.org).
+ *
+ * Only the JSON format (.tmj / .json) is read; save .tmx maps with "Export As" JSON.
+ * Tilesets must be embedded in the map.
+ *
+ * - Terrain comes from a tile layer (the one named options.tileLayer, otherwise the first).
+ *   Each tileset tile needs a string property "terrain" naming one of GAME_CONFIG.TILE_TYPES.
+ * - Castles come from objects of class (or type) "castle" in any object layer, placed on the
+ *   tile under the object's centre. Optional properties:
+ *     faction            faction id or name, omitted for a neutral castle
+ *     productionRate     units per minute
+ *     units              starting garrison
+ *     producesWhenNeutral
+ */
+export class TiledMapLoader {
+  // Build a Tile[][] map (same shape as MapGenerator.generateMap) from Tiled JSON
+  static load(tiled, options = {}) {
+    return MapSerializer.deserialize(this.toMapData(tiled, options));
+  }
+
+  // Convert Tiled JSON into MapSerializer data
+  static toMapData(input, options = {}) {
+    const tiled = this.parse(input);
+    const { width, height } = tiled;
+
+    const terrainByGid = this.getTerrainByGid(tiled.tilesets || []);
+    const { layer, index: layerIndex } = this.findTileLayer(tiled, options.tileLayer);
+    const gids = this.decodeLayerData(layer, `layers[${layerIndex}]`);
+
+    if (gids.length !== width * height) {
+      throw new MapFormatError(`expected ${width * height} tiles, got ${gids.length}`, `layers[${layerIndex}].data`);
+    }
+
+    const tiles = [];
+    for (let y = 0; y < height; y++) {
+      tiles[y] = [];
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const gid = gids[index] % GID_FLAGS_START;
+        const tileType = terrainByGid.get(gid);
+        if (!tileType) {
+          const reason = gid === 0 ? 'empty tile' : `gid ${gid} has no "terrain" property`;
+          throw new MapFormatError(reason, `layers[${layerIndex}].data[${index}]`, { x, y });
+        }
+        tiles[y][x] = tileType.id;
+      }
+    }
+
+    return {
+      format: MAP_FORMAT,
+      version: MAP_FORMAT_VERSION,
+      width,
+      height,
+      tiles,
+      castles: this.readCastles(tiled),
+    };
+  }
+
+  static parse(input) {
+    if (typeof input === 'string') {
+      if (input.trim().startsWith('<')) {
+        throw new MapFormatError('TMX (XML) maps are not supported, export the map as JSON from Tiled');
+      }
+      try {
+        return this.parse(JSON.parse(input));
+      } catch (error) {
+        if (error instanceof MapFormatError) {
+          throw error;
+        }
+        throw new MapFormatError(`not valid JSON (${error.message})`);
+      }
+    }
+
+    if (input === null || typeof input !== 'object' || !Array.isArray(input.layers)) {
+      throw new MapFormatError('expected a Tiled JSON map');
+    }
+    if (input.infinite) {
+      throw new MapFormatError('infinite Tiled maps are not supported', 'infinite');
+    }
+    if (input.orientation && input.orientation !== 'orthogonal') {
+      throw new MapFormatError(`${input.orientation} maps are not supported, expected orthogonal`, 'orientation');
+    }
+    return input;
+  }
+
+  // Tiled writes properties as [{ name, type, value }], older versions as a plain object
+  static getProperties(owner) {
+    const properties = {};
+    if (Array.isArray(owner.properties)) {
+      owner.properties.forEach((property) => {
+        properties[property.name] = property.value;
+      });
+    } else if (owner.properties) {
+      Object.assign(properties, owner.properties);
+    }
+    return properties;
+  }
+
+  static getTerrainByGid(tilesets) {
+    const terrainByGid = new Map();
+
+    tilesets.forEach((tileset, tilesetIndex) => {
+      const path = `tilesets[${tilesetIndex}]`;
+      if (tileset.source) {
+        throw new MapFormatError(`external tileset "${tileset.source}" must be embedded in the map`, path);
+      }
+
+      (tileset.tiles || []).forEach((tile, tileIndex) => {
+        const { terrain } = this.getProperties(tile);
+        if (terrain === undefined) {
+          return;
+        }
+
+        const tileType = GAME_CONFIG.TILE_TYPES.find((t) => t.name === terrain);
+        if (!tileType) {
+          throw new MapFormatError(`unknown terrain "${terrain}"`, `${path}.tiles[${tileIndex}]`);
+        }
+        terrainByGid.set(tileset.firstgid + tile.id, tileType);
+      });
+    });
+
+    return terrainByGid;
+  }
+
+  static findTileLayer(tiled, name) {
+    const layers = this.flattenLayers(tiled.layers);
+    const match = layers.find(({ layer }) => layer.type === 'tilelayer'
+      && (name === undefined || layer.name === name));
+
+    if (!match) {
+      throw new MapFormatError(name === undefined ? 'map has no tile layer' : `tile layer "${name}" not found`, 'layers');
+    }
+    return match;
+  }
+
+  // Layer groups nest their children; keep the top-level index for error paths
+  static flattenLayers(layers, index = null) {
+    const result = [];
+    layers.forEach((layer, i) => {
+      const layerIndex = index === null ? i : index;
+      if (layer.type === 'group') {
+        result.push(...this.flattenLayers(layer.layers || [], layerIndex));
+      } else {
+        result.push({ layer, index: layerIndex });
+      }
+    });
+    return result;
+  }
+
+  static decodeLayerData(layer, path) {
+    if (layer.compression) {
+      throw new MapFormatError(`${layer.compression} compressed layers are not supported, use CSV or uncompressed Base64`, path);
+    }
+    if (layer.encoding !== 'base64') {
+      return layer.data || [];
+    }
+
+    // Base64 data is a little-endian uint32 per tile
+    const bytes = Uint8Array.from(atob(layer.data), (char) => char.charCodeAt(0));
+    const view = new DataView(bytes.buffer);
+    const gids = [];
+    for (let i = 0; i + 3 < bytes.length; i += 4) {
+      gids.push(view.getUint32(i, true));
+    }
+    return gids;
+  }
+
+  static readCastles(tiled) {
+    const castles = [];
+
+    this.flattenLayers(tiled.layers).forEach(({ layer, index }) => {
+      if (layer.type !== 'objectgroup') {
+        return;
+      }
+
+      (layer.objects || []).forEach((object, objectIndex) => {
+        const objectClass = object.class !== undefined ? object.class : object.type;
+        if (objectClass !== 'castle') {
+          return;
+        }
+
+        const path = `layers[${index}].objects[${objectIndex}]`;
+        const position = this.getObjectTile(object, tiled);
+        castles.push({ ...position, ...this.readCastleProperties(object, path, position) });
+      });
+    });
+
+    return castles;
+  }
+
+  // Tile under the object's centre (tile objects are anchored at their bottom-left corner)
+  static getObjectTile(object, tiled) {
+    const objectWidth = object.width || 0;
+    const objectHeight = object.height || 0;
+    const centerX = object.x + objectWidth / 2;
+    const centerY = object.gid ? object.y - objectHeight / 2 : object.y + objectHeight / 2;
+
+    return {
+      x: Math.floor(centerX / tiled.tilewidth),
+      y: Math.floor(centerY / tiled.tileheight),
+    };
+  }
+
+  static readCastleProperties(object, path, position) {
+    const properties = this.getProperties(object);
+
+    if (properties.faction === undefined || properties.faction === '') {
+      const settings = GAME_CONFIG.NEUTRAL_CASTLES;
+      return {
+        factionId: null,
+        productionRate: properties.productionRate !== undefined
+          ? properties.productionRate : settings.PRODUCTION_RATE,
+        garrison: properties.units !== undefined ? properties.units : settings.GARRISON,
+        producesWhenNeutral: properties.producesWhenNeutral !== undefined
+          ? properties.producesWhenNeutral : settings.PRODUCES_WHEN_NEUTRAL,
+      };
+    }
+
+    const faction = GAME_CONFIG.FACTIONS.find((f) => f.id === properties.faction
+      || (typeof properties.faction === 'string'
+        && f.name.toLowerCase() === properties.faction.toLowerCase()));
+    if (!faction) {
+      throw new MapFormatError(`unknown faction ${JSON.stringify(properties.faction)}`, `${path}.faction`, position);
+    }
+
+    return {
+      factionId: faction.id,
+      productionRate: properties.productionRate !== undefined
+        ? properties.productionRate : GAME_CONFIG.PRODUCTION.DEFAULT_RATE,
+      garrison: properties.units !== undefined ? properties.units : 10, // Castle starting units
+    };
+  }
+}
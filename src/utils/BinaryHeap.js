@@ -0,0 +1,126 @@
+// Min-heap of integer ids (0 to capacity - 1) ordered by a numeric priority.
+// Tracks the position of every id so priorities can be lowered in place (decrease-key).
+export class BinaryHeap {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.ids = new Int32Array(capacity);
+    this.priorities = new Float64Array(capacity);
+    this.positions = new Int32Array(capacity).fill(-1);
+    this.size = 0;
+  }
+
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  has(id) {
+    return this.positions[id] !== -1;
+  }
+
+  getPriority(id) {
+    return this.priorities[id];
+  }
+
+  push(id, priority) {
+    if (this.has(id)) {
+      this.decreaseKey(id, priority);
+      return;
+    }
+
+    this.priorities[id] = priority;
+    this.ids[this.size] = id;
+    this.positions[id] = this.size;
+    this.size++;
+    this.siftUp(this.size - 1);
+  }
+
+  // Lower the priority of an id already in the heap, higher priorities are ignored
+  decreaseKey(id, priority) {
+    if (priority >= this.priorities[id]) {
+      return;
+    }
+    this.priorities[id] = priority;
+    this.siftUp(this.positions[id]);
+  }
+
+  peek() {
+    return this.size > 0 ? this.ids[0] : -1;
+  }
+
+  // Remove and return the id with the lowest priority, -1 when empty
+  pop() {
+    if (this.size === 0) {
+      return -1;
+    }
+
+    const top = this.ids[0];
+    this.positions[top] = -1;
+    this.size--;
+
+    if (this.size > 0) {
+      const last = this.ids[this.size];
+      this.ids[0] = last;
+      this.positions[last] = 0;
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  clear() {
+    for (let i = 0; i < this.size; i++) {
+      this.positions[this.ids[i]] = -1;
+    }
+    this.size = 0;
+  }
+
+  siftUp(startIndex) {
+    const id = this.ids[startIndex];
+    const priority = this.priorities[id];
+    let index = startIndex;
+
+    while (index > 0) {
+      const parentIndex = Math.floor((index - 1) / 2);
+      const parent = this.ids[parentIndex];
+      if (this.priorities[parent] <= priority) {
+        break;
+      }
+      this.ids[index] = parent;
+      this.positions[parent] = index;
+      index = parentIndex;
+    }
+
+    this.ids[index] = id;
+    this.positions[id] = index;
+  }
+
+  siftDown(startIndex) {
+    const id = this.ids[startIndex];
+    const priority = this.priorities[id];
+    let index = startIndex;
+
+    for (;;) {
+      const left = index * 2 + 1;
+      if (left >= this.size) {
+        break;
+      }
+
+      const right = left + 1;
+      let child = left;
+      if (right < this.size && this.priorities[this.ids[right]] < this.priorities[this.ids[left]]) {
+        child = right;
+      }
+
+      const childId = this.ids[child];
+      if (this.priorities[childId] >= priority) {
+        break;
+      }
+      this.ids[index] = childId;
+      this.positions[childId] = index;
+      index = child;
+    }
+
+    this.ids[index] = id;
+    this.positions[id] = index;
+  }
+}
@@ -0,0 +1,39 @@
+// Deterministic pseudo-random number generator (mulberry32).
+// Any object exposing next() -> [0, 1) can be used in its place.
+export class SeededRandom {
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  // Pick a fresh numeric seed when the caller did not provide one
+  static createSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF);
+  }
+
+  // Hash a string or number seed into a 32-bit integer state (FNV-1a)
+  static hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max)
+  nextInt(min, max) {
+    return min + Math.floor(this.next() * (max - min));
+  }
+}
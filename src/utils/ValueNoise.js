@@ -0,0 +1,72 @@
+// 2D value noise built from a seeded lattice, layered into fractal noise
+// for terrain generation. Values are in [0, 1].
+export class ValueNoise {
+  constructor(rng, latticeSize = 256) {
+    this.latticeSize = latticeSize;
+    this.values = new Float32Array(latticeSize);
+    this.permutation = new Uint16Array(latticeSize * 2);
+
+    for (let i = 0; i < latticeSize; i++) {
+      this.values[i] = rng.next();
+      this.permutation[i] = i;
+    }
+
+    // Shuffle the permutation table (Fisher-Yates) and repeat it to avoid wrapping
+    for (let i = latticeSize - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [this.permutation[i], this.permutation[j]] = [this.permutation[j], this.permutation[i]];
+    }
+    for (let i = 0; i < latticeSize; i++) {
+      this.permutation[latticeSize + i] = this.permutation[i];
+    }
+  }
+
+  // Wrap lattice coordinates into [0, latticeSize), negative ones included
+  wrap(i) {
+    return ((i % this.latticeSize) + this.latticeSize) % this.latticeSize;
+  }
+
+  latticeValue(ix, iy) {
+    return this.values[this.permutation[this.wrap(ix) + this.permutation[this.wrap(iy)]]];
+  }
+
+  static smoothstep(t) {
+    return t * t * (3 - 2 * t);
+  }
+
+  static lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  noise2D(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const tx = ValueNoise.smoothstep(x - ix);
+    const ty = ValueNoise.smoothstep(y - iy);
+
+    const top = ValueNoise.lerp(this.latticeValue(ix, iy), this.latticeValue(ix + 1, iy), tx);
+    const bottom = ValueNoise.lerp(
+      this.latticeValue(ix, iy + 1),
+      this.latticeValue(ix + 1, iy + 1),
+      tx,
+    );
+    return ValueNoise.lerp(top, bottom, ty);
+  }
+
+  // Sum several octaves of noise, each at double the frequency and a fraction of the amplitude
+  fractal(x, y, octaves = 3, persistence = 0.5) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxAmplitude = 0;
+
+    for (let octave = 0; octave < octaves; octave++) {
+      total += this.noise2D(x * frequency, y * frequency) * amplitude;
+      maxAmplitude += amplitude;
+      amplitude *= persistence;
+      frequency *= 2;
+    }
+
+    return total / maxAmplitude;
+  }
+}
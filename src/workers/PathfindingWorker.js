@@ -0,0 +1,76 @@
+import { PathfindingSystem, PATH_STATUS } from '../systems/PathfindingSystem.js';
+
+// Pathfinding off the main thread. The worker never sees the map itself, only the cost grid
+// PathfindingService sends whenever the map changes. Messages:
+//   { type: 'grid', grid }           replace the cost grid
+//   { type: 'find', id, query }      search, answered with { type: 'result', id, result }
+//   { type: 'cancel', id }           drop a queued search, answered with a cancelled result
+// Searches are queued and run one per task so that cancel messages arriving in between
+// still reach requests that have not started yet.
+export class PathfindingWorker {
+  constructor(postMessage) {
+    this.postMessage = postMessage;
+    this.grid = null;
+    this.queue = [];
+    this.isScheduled = false;
+  }
+
+  handleMessage(message) {
+    if (message.type === 'grid') {
+      this.grid = message.grid;
+    } else if (message.type === 'find') {
+      this.queue.push(message);
+      this.schedule();
+    } else if (message.type === 'cancel') {
+      const index = this.queue.findIndex((request) => request.id === message.id);
+      if (index !== -1) {
+        const [request] = this.queue.splice(index, 1);
+        this.reply(request, PATH_STATUS.CANCELLED);
+      }
+    }
+  }
+
+  schedule() {
+    if (this.isScheduled) {
+      return;
+    }
+    this.isScheduled = true;
+    setTimeout(() => {
+      this.isScheduled = false;
+      this.runNext();
+    }, 0);
+  }
+
+  runNext() {
+    const request = this.queue.shift();
+    if (!request) {
+      return;
+    }
+
+    const {
+      startX, startY, endX, endY, options,
+    } = request.query;
+    const result = PathfindingSystem.searchGrid(this.grid, startX, startY, endX, endY, options);
+    this.postMessage({ type: 'result', id: request.id, result });
+
+    if (this.queue.length > 0) {
+      this.schedule();
+    }
+  }
+
+  reply(request, status) {
+    const { startX, startY } = request.query;
+    this.postMessage({
+      type: 'result',
+      id: request.id,
+      result: PathfindingSystem.createResult(status, [], startX, startY),
+    });
+  }
+}
+
+// Started as a Web Worker by PathfindingService
+const { WorkerGlobalScope } = globalThis;
+if (WorkerGlobalScope && globalThis instanceof WorkerGlobalScope) {
+  const worker = new PathfindingWorker((message) => globalThis.postMessage(message));
+  globalThis.onmessage = (event) => worker.handleMessage(event.data);
+}
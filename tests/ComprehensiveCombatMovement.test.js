@@ -17,9 +17,11 @@ describe('Comprehensive Combat & Movement System', () => {
     movementSystem = new MovementSystem();
     map = MapGenerator.generateMap(8);
     
-    // Clear the map for predictable testing
+    // Clear the map for predictable testing (open terrain, no units or castles)
+    const openTerrain = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
     for (let y = 0; y < 8; y++) {
       for (let x = 0; x < 8; x++) {
+        map[y][x].type = openTerrain;
         map[y][x].units = [];
         map[y][x].castle = null;
       }
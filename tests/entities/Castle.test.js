@@ -4,12 +4,12 @@ import { GAME_CONFIG } from '../../src/config/GameConfig.js';
 describe('Castle', () => {
   describe('Story 4.1: Four Distinct Factions', () => {
     test('should have 4 factions with unique colors', () => {
-      expect(GAME_CONFIG.FACTIONS.length).toBe(4);
+      expect(GAME_CONFIG.DEFAULT_FACTION_COUNT).toBe(4);
       
       const expectedColors = [0xFF0000, 0x0066FF, 0x00FF00, 0xFFFF00];
       const expectedNames = ['Red', 'Blue', 'Green', 'Yellow'];
       
-      GAME_CONFIG.FACTIONS.forEach((faction, index) => {
+      GAME_CONFIG.FACTIONS.slice(0, 4).forEach((faction, index) => {
         expect(faction.id).toBe(index);
         expect(faction.color).toBe(expectedColors[index]);
         expect(faction.name).toBe(expectedNames[index]);
@@ -19,17 +19,29 @@ describe('Castle', () => {
     test('should have distinct visual appearance for units and castles per faction', () => {
       const colors = GAME_CONFIG.FACTIONS.map(f => f.color);
       const uniqueColors = new Set(colors);
-      expect(uniqueColors.size).toBe(4);
+      expect(uniqueColors.size).toBe(GAME_CONFIG.FACTIONS.length);
     });
 
     test('should apply speed multipliers properly per faction for testing', () => {
       const expectedSpeeds = [0.5, 0.75, 1.0, 1.5];
-      GAME_CONFIG.FACTIONS.forEach((faction, index) => {
+      GAME_CONFIG.FACTIONS.slice(0, 4).forEach((faction, index) => {
         expect(faction.speed).toBe(expectedSpeeds[index]);
       });
     });
   });
 
+  describe('Configurable faction count', () => {
+    test('should define enough factions for 2-8 player matches', () => {
+      expect(GAME_CONFIG.MIN_FACTIONS).toBe(2);
+      expect(GAME_CONFIG.MAX_FACTIONS).toBe(8);
+      expect(GAME_CONFIG.FACTIONS.length).toBeGreaterThanOrEqual(GAME_CONFIG.MAX_FACTIONS);
+
+      GAME_CONFIG.FACTIONS.forEach((faction, index) => {
+        expect(faction.id).toBe(index);
+      });
+    });
+  });
+
   describe('Castle Production', () => {
     test('should update unit count based on production rate', () => {
       const castle = new Castle(5, 5, 0, 5); // 5 units per minute
@@ -69,4 +81,135 @@ describe('Castle', () => {
       expect(castle.canSendUnits(20)).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Neutral castles', () => {
+    test('should create an unowned castle with a fixed garrison', () => {
+      const castle = Castle.createNeutral(4, 4, { garrison: 12 });
+
+      expect(castle.isNeutral()).toBe(true);
+      expect(castle.factionId).toBeNull();
+      expect(castle.unitCount).toBe(12);
+    });
+
+    test('should not produce units while neutral unless configured to', () => {
+      const idle = Castle.createNeutral(4, 4, { garrison: 12, producesWhenNeutral: false });
+      idle.lastProductionTime = Date.now() - 60000;
+      idle.update();
+      expect(idle.unitCount).toBe(12);
+
+      const producing = Castle.createNeutral(4, 4, { garrison: 12, productionRate: 5, producesWhenNeutral: true });
+      producing.lastProductionTime = Date.now() - 60000;
+      producing.update();
+      expect(producing.unitCount).toBe(17);
+    });
+
+    test('should start producing once captured', () => {
+      const castle = Castle.createNeutral(4, 4, { garrison: 0, productionRate: 5, producesWhenNeutral: false });
+      castle.update();
+      castle.factionId = 1;
+
+      castle.lastProductionTime = Date.now() - 60000;
+      castle.update();
+      expect(castle.isNeutral()).toBe(false);
+      expect(castle.unitCount).toBe(5);
+    });
+  });
+
+  describe('Unit streams', () => {
+    const route = [{ x: 5, y: 5 }, { x: 8, y: 5 }];
+
+    // A minute's worth of production, 3 units at the default rate
+    const produce = (castle) => {
+      castle.lastProductionTime -= 60000;
+      castle.update();
+    };
+
+    test('should send the units produced since the last dispatch every interval', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.setStream(route, { interval: 1000 });
+      const start = castle.stream.lastDispatchTime;
+
+      // The garrison the castle had before stays home
+      expect(castle.takeStreamUnits(start + 1000)).toBe(0);
+
+      produce(castle);
+      expect(castle.takeStreamUnits(start + 999)).toBe(0);
+      expect(castle.takeStreamUnits(start + 1000)).toBe(3);
+      // The castle sends the units it was told about, the next dispatch waits a full interval
+      produce(castle);
+      expect(castle.takeStreamUnits(start + 1500)).toBe(0);
+      expect(castle.takeStreamUnits(start + 2000)).toBe(3);
+    });
+
+    test('should not send more than the garrison left', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.setStream(route, { interval: 1000 });
+      produce(castle);
+      castle.unitCount = 2;
+
+      expect(castle.takeStreamUnits(castle.stream.lastDispatchTime + 1000)).toBe(2);
+    });
+
+    test('should default to the configured interval', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.setStream(route);
+      expect(castle.stream.interval).toBe(GAME_CONFIG.ORDERS.STREAM_INTERVAL);
+      expect(castle.stream.threshold).toBeNull();
+      expect(castle.stream.route).toEqual(route);
+    });
+
+    test('should send what the garrison grows beyond a threshold', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.setStream(route, { threshold: 8 });
+
+      expect(castle.takeStreamUnits()).toBe(2);
+      castle.unitCount = 5;
+      expect(castle.takeStreamUnits()).toBe(0);
+    });
+
+    test('should reject invalid streams', () => {
+      const castle = new Castle(1, 1, 0);
+      expect(() => castle.setStream([])).toThrow('Stream orders need a target');
+      expect(() => castle.setStream(route, { interval: 1000, threshold: 5 })).toThrow();
+      expect(() => castle.setStream(route, { threshold: -1 })).toThrow();
+      expect(() => castle.setStream(route, { interval: -5 })).toThrow();
+      expect(castle.stream).toBeNull();
+    });
+  });
+
+  describe('Rally points', () => {
+    test('should send production beyond the garrison once per interval', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.unitCount = 16;
+      castle.setRallyPoint(4, 4, { minGarrison: 10, interval: 1000 });
+      const start = castle.rallyPoint.lastDispatchTime;
+
+      expect(castle.takeRallyUnits(start + 999)).toBe(0);
+      expect(castle.takeRallyUnits(start + 1000)).toBe(6);
+      expect(castle.takeRallyUnits(start + 1999)).toBe(0);
+
+      castle.unitCount = 8;
+      expect(castle.takeRallyUnits(start + 2000)).toBe(0);
+    });
+
+    test('should default to the configured garrison and interval', () => {
+      const castle = new Castle(1, 1, 0);
+      castle.setRallyPoint(4, 4);
+
+      expect(castle.rallyPoint).toMatchObject({
+        x: 4,
+        y: 4,
+        minGarrison: GAME_CONFIG.ORDERS.RALLY_MIN_GARRISON,
+        interval: GAME_CONFIG.ORDERS.RALLY_INTERVAL,
+      });
+    });
+
+    test('should reject invalid rally points', () => {
+      const castle = new Castle(1, 1, 0);
+      expect(() => castle.setRallyPoint(1, 1)).toThrow('A rally point cannot be on its own castle');
+      expect(() => castle.setRallyPoint(4, 4, { minGarrison: 2.5 })).toThrow();
+      expect(() => castle.setRallyPoint(4, 4, { interval: -1 })).toThrow();
+      expect(castle.rallyPoint).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,14 @@
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+
+const [grass] = GAME_CONFIG.TILE_TYPES;
+
+// Grass map without castles, so routes only depend on what a test puts on it
+export const createOpenMap = (width = 10, height = width) => {
+  const map = MapGenerator.generateMap(10, { seed: 'open', width, height });
+  map.flat().forEach((tile) => {
+    tile.type = grass;
+    tile.castle = null;
+  });
+  return map;
+};
@@ -176,7 +176,7 @@ describe('Game Integration Tests', () => {
 
     test('Epic 4: All faction warfare system criteria met', () => {
       // 4 distinct factions
-      expect(GAME_CONFIG.FACTIONS.length).toBe(4);
+      expect(GAME_CONFIG.DEFAULT_FACTION_COUNT).toBe(4);
       
       // Combat resolution
       const map = MapGenerator.generateMap(10);
@@ -1,5 +1,6 @@
 import { CombatSystem } from '../../src/systems/CombatSystem.js';
 import { Tile } from '../../src/entities/Tile.js';
+import { Castle } from '../../src/entities/Castle.js';
 import { GAME_CONFIG } from '../../src/config/GameConfig.js';
 
 describe('CombatSystem', () => {
@@ -255,4 +256,95 @@ describe('CombatSystem', () => {
       expect(tile.units.length).toBe(0); // No units on tile
     });
   });
-});
\ No newline at end of file
+
+  describe('Neutral castle combat', () => {
+    const createNeutralCastleTile = (garrison) => {
+      const tile = new Tile(5, 5, GAME_CONFIG.TILE_TYPES[0]);
+      tile.setCastle(Castle.createNeutral(5, 5, { garrison }));
+      return tile;
+    };
+
+    test('should capture a neutral castle when attackers outnumber the garrison', () => {
+      const tile = createNeutralCastleTile(10);
+      tile.addUnit({ factionId: 2, count: 15 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.factionId).toBe(2);
+      expect(tile.castle.unitCount).toBe(5);
+      expect(tile.units).toEqual([]);
+    });
+
+    test('should keep a neutral castle neutral when the attack fails', () => {
+      const tile = createNeutralCastleTile(10);
+      tile.addUnit({ factionId: 1, count: 4 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.isNeutral()).toBe(true);
+      expect(tile.castle.unitCount).toBe(6);
+      expect(tile.units).toEqual([]);
+    });
+
+    test('should let the strongest of several attackers take the neutral castle', () => {
+      const tile = createNeutralCastleTile(5);
+      tile.addUnit({ factionId: 0, count: 20 });
+      tile.addUnit({ factionId: 1, count: 6 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.factionId).toBe(0);
+      expect(tile.castle.unitCount).toBe(9);
+    });
+
+    test('should name the neutral owner in combat logs', () => {
+      expect(CombatSystem.getFactionName(null)).toBe('Neutral');
+    });
+  });
+
+  describe('Standing orders of conquered castles', () => {
+    const createOrderedCastleTile = () => {
+      const tile = new Tile(5, 5, GAME_CONFIG.TILE_TYPES[0]);
+      const castle = new Castle(5, 5, 2);
+      castle.unitCount = 3;
+      castle.setStream([{ x: 8, y: 5 }]);
+      castle.setRallyPoint(6, 5);
+      tile.setCastle(castle);
+      return tile;
+    };
+
+    test('should drop the stream and rally point when the castle falls', () => {
+      const tile = createOrderedCastleTile();
+      tile.addUnit({ factionId: 3, count: 10 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.factionId).toBe(3);
+      expect(tile.castle.stream).toBeNull();
+      expect(tile.castle.rallyPoint).toBeNull();
+    });
+
+    test('should drop them when the castle falls after its reinforcements', () => {
+      const tile = createOrderedCastleTile();
+      tile.addUnit({ factionId: 2, count: 2 });
+      tile.addUnit({ factionId: 3, count: 10 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.factionId).toBe(3);
+      expect(tile.castle.stream).toBeNull();
+      expect(tile.castle.rallyPoint).toBeNull();
+    });
+
+    test('should keep them when the castle holds', () => {
+      const tile = createOrderedCastleTile();
+      tile.addUnit({ factionId: 3, count: 2 });
+
+      CombatSystem.resolveCombat(tile);
+
+      expect(tile.castle.factionId).toBe(2);
+      expect(tile.castle.stream).not.toBeNull();
+      expect(tile.castle.rallyPoint).not.toBeNull();
+    });
+  });
+});
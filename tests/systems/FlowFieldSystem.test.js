@@ -0,0 +1,109 @@
+import { FlowFieldSystem } from '../../src/systems/FlowFieldSystem.js';
+import { PathfindingSystem } from '../../src/systems/PathfindingSystem.js';
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { createOpenMap } from '../fixtures/openMap.js';
+
+const grass = GAME_CONFIG.TILE_TYPES[0];
+const water = GAME_CONFIG.TILE_TYPES[1];
+const forest = {
+  id: 3, name: 'forest', passable: true, movementCost: 2,
+};
+
+describe('FlowFieldSystem', () => {
+  describe('Integration fields', () => {
+    test('should give every tile its shortest travel cost to the target', () => {
+      const map = MapGenerator.generateMap(20, { seed: 'flow-field', mode: 'noise' });
+      const castles = map.flat().filter((tile) => tile.castle);
+      const target = castles[0];
+      const field = FlowFieldSystem.getFlowField(map, target.x, target.y);
+
+      // Units only ever stand on passable tiles and castles
+      map.flat().filter((tile) => tile.isPassable() || tile.castle).forEach((tile) => {
+        const path = PathfindingSystem.findPath(map, tile.x, tile.y, target.x, target.y);
+        const distance = FlowFieldSystem.getDistance(field, tile.x, tile.y);
+        if (tile === target) {
+          expect(distance).toBe(0);
+        } else if (path.length === 0) {
+          expect(distance).toBe(Infinity);
+        } else {
+          expect(distance).toBeCloseTo(PathfindingSystem.getPathCost(map, path));
+        }
+      });
+    });
+
+    test('should lead along cheap terrain', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'flow-terrain' });
+      map.flat().forEach((tile) => {
+        tile.type = tile.y === 0 ? grass : forest;
+        tile.castle = null;
+      });
+
+      // Going round over the grass row beats crossing the forest directly
+      const field = FlowFieldSystem.getFlowField(map, 9, 0);
+      const path = FlowFieldSystem.getPath(field, 0, 1);
+
+      expect(path[0]).toEqual({ x: 0, y: 0 });
+      expect(path[path.length - 1]).toEqual({ x: 9, y: 0 });
+      expect(FlowFieldSystem.getDistance(field, 0, 1)).toBe(10);
+      expect(FlowFieldSystem.getNextStep(field, 9, 0)).toBeNull();
+    });
+
+    test('should follow the diagonal movement rules', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'flow-diagonal' });
+      map.flat().forEach((tile) => {
+        tile.type = grass;
+        tile.castle = null;
+      });
+      map[0][1].type = water;
+      map[1][0].type = water;
+
+      const never = FlowFieldSystem.getFlowField(map, 1, 1, { diagonal: true });
+      expect(FlowFieldSystem.getDistance(never, 0, 0)).toBe(Infinity);
+
+      const squeeze = FlowFieldSystem.getFlowField(map, 1, 1, {
+        diagonal: true, cornerCutting: 'squeeze',
+      });
+      expect(FlowFieldSystem.getPath(squeeze, 0, 0)).toEqual([{ x: 1, y: 1 }]);
+      expect(FlowFieldSystem.getDistance(squeeze, 0, 0)).toBeCloseTo(Math.SQRT2);
+    });
+
+    test('should have no field for invalid targets and no path from cut-off tiles', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'flow-invalid' });
+      map.flat().forEach((tile) => {
+        tile.type = tile.x === 5 ? water : grass;
+        tile.castle = null;
+      });
+
+      expect(FlowFieldSystem.getFlowField(map, 5, 5)).toBeNull();
+      expect(FlowFieldSystem.getFlowField(map, 10, 0)).toBeNull();
+
+      const field = FlowFieldSystem.getFlowField(map, 0, 0);
+      expect(FlowFieldSystem.getPath(field, 9, 9)).toEqual([]);
+      expect(FlowFieldSystem.getDistance(field, 9, 9)).toBe(Infinity);
+    });
+  });
+
+  describe('Caching', () => {
+    test('should reuse fields until the map revision changes', () => {
+      const map = createOpenMap();
+      const field = FlowFieldSystem.getFlowField(map, 5, 5);
+
+      expect(FlowFieldSystem.getFlowField(map, 5, 5)).toBe(field);
+      expect(FlowFieldSystem.getFlowField(map, 5, 5, { diagonal: true })).not.toBe(field);
+
+      map[5][4].type = water;
+      const rebuilt = FlowFieldSystem.getFlowField(map, 5, 5);
+      expect(rebuilt).not.toBe(field);
+      expect(FlowFieldSystem.getDistance(rebuilt, 3, 5)).toBe(4);
+    });
+
+    test('should drop the fields of a map on request', () => {
+      const map = createOpenMap();
+      const field = FlowFieldSystem.getFlowField(map, 5, 5);
+
+      FlowFieldSystem.clearCache(map);
+      expect(FlowFieldSystem.getFlowField(map, 5, 5)).not.toBe(field);
+    });
+  });
+});
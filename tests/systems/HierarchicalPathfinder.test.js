@@ -0,0 +1,157 @@
+import { HierarchicalPathfinder } from '../../src/systems/HierarchicalPathfinder.js';
+import { PathfindingSystem, PATH_STATUS } from '../../src/systems/PathfindingSystem.js';
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+
+const grass = GAME_CONFIG.TILE_TYPES[0];
+const water = GAME_CONFIG.TILE_TYPES[1];
+const clusterSize = GAME_CONFIG.PATHFINDING.CLUSTER_SIZE;
+
+// Open map three clusters wide with a wall down column 20 open only at (20, 45)
+const createWalledMap = () => {
+  const map = MapGenerator.generateMap(48, { seed: 'hierarchical' });
+  map.flat().forEach((tile) => {
+    tile.type = tile.x === 20 && tile.y !== 45 ? water : grass;
+    tile.castle = null;
+  });
+  return map;
+};
+
+const expectConnected = (path, startX, startY) => {
+  let previous = { x: startX, y: startY };
+  path.forEach((point) => {
+    expect(Math.abs(point.x - previous.x) + Math.abs(point.y - previous.y)).toBe(1);
+    previous = point;
+  });
+};
+
+describe('HierarchicalPathfinder', () => {
+  describe('Abstract routes', () => {
+    test('should route through the openings between clusters', () => {
+      const map = createWalledMap();
+      const route = HierarchicalPathfinder.findRoute(map, 2, 2, 40, 2);
+
+      expect(route.status).toBe(PATH_STATUS.COMPLETE);
+      expect(route.end).toEqual({ x: 40, y: 2 });
+      expect(route.waypoints[route.waypoints.length - 1]).toEqual({ x: 40, y: 2 });
+
+      // Neighbouring waypoints are never more than one cluster apart
+      let previous = { x: 2, y: 2 };
+      route.waypoints.forEach((waypoint) => {
+        expect(Math.abs(waypoint.x - previous.x)).toBeLessThanOrEqual(clusterSize);
+        expect(Math.abs(waypoint.y - previous.y)).toBeLessThanOrEqual(clusterSize);
+        previous = waypoint;
+      });
+    });
+
+    test('should refine routes into connected tile paths', () => {
+      const map = createWalledMap();
+      const path = HierarchicalPathfinder.findPath(map, 2, 2, 40, 2);
+
+      expectConnected(path, 2, 2);
+      expect(path[path.length - 1]).toEqual({ x: 40, y: 2 });
+      expect(path).toContainEqual({ x: 20, y: 45 });
+    });
+
+    test('should count the route and its segments as the work of a query', () => {
+      const map = createWalledMap();
+      const route = HierarchicalPathfinder.findRoute(map, 2, 2, 40, 2);
+      const result = HierarchicalPathfinder.findPathResult(map, 2, 2, 40, 2);
+
+      expect(route.expanded).toBeGreaterThan(0);
+      // Refining visits at least every tile of the path
+      expect(result.expanded).toBeGreaterThan(route.expanded + result.path.length);
+    });
+
+    test('should refine a single segment on request', () => {
+      const map = createWalledMap();
+      const route = HierarchicalPathfinder.findRoute(map, 2, 2, 40, 2);
+      const segment = HierarchicalPathfinder.refineSegment(map, { x: 2, y: 2 }, route.waypoints[0]);
+
+      expectConnected(segment, 2, 2);
+      expect(segment[segment.length - 1]).toEqual(route.waypoints[0]);
+    });
+
+    test('should answer queries inside one cluster', () => {
+      const map = createWalledMap();
+      const path = HierarchicalPathfinder.findPath(map, 1, 1, 5, 3);
+      expect(path.length).toBe(6);
+    });
+
+    test('should report invalid and unreachable targets like the direct search', () => {
+      const map = createWalledMap();
+      [[9, 30], [11, 30], [10, 29], [10, 31]].forEach(([x, y]) => { map[y][x].type = water; });
+
+      expect(HierarchicalPathfinder.findPathResult(map, 2, 2, 20, 0).status)
+        .toBe(PATH_STATUS.INVALID);
+      expect(HierarchicalPathfinder.findPath(map, 2, 2, 10, 30)).toEqual([]);
+
+      const partial = HierarchicalPathfinder.findPathResult(map, 2, 2, 10, 30, {
+        allowPartial: true,
+      });
+      expect(partial.status).toBe(PATH_STATUS.PARTIAL);
+      expect(partial.path[partial.path.length - 1]).toEqual(partial.end);
+    });
+
+    test('should rebuild the graph after the terrain changes', () => {
+      const map = createWalledMap();
+      expect(HierarchicalPathfinder.findPath(map, 2, 2, 40, 2)).toContainEqual({ x: 20, y: 45 });
+
+      map[2][20].type = grass;
+      const path = HierarchicalPathfinder.findPath(map, 2, 2, 40, 2);
+      expect(path).toContainEqual({ x: 20, y: 2 });
+      expect(path).not.toContainEqual({ x: 20, y: 45 });
+    });
+
+    test('should support diagonal movement', () => {
+      const map = createWalledMap();
+      const path = HierarchicalPathfinder.findPath(map, 2, 2, 18, 40, 100, { diagonal: true });
+      const optimal = PathfindingSystem.findPath(map, 2, 2, 18, 40, 100, { diagonal: true });
+
+      // Routes through cluster entrances may be slightly longer than the direct search,
+      // but still much shorter than walking orthogonally
+      expect(path[path.length - 1]).toEqual({ x: 18, y: 40 });
+      expect(path.length).toBeLessThan(16 + 38);
+      expect(PathfindingSystem.getPathCost(map, path, 2, 2))
+        .toBeLessThanOrEqual(PathfindingSystem.getPathCost(map, optimal, 2, 2) * 1.2);
+    });
+  });
+
+  describe('Performance on maximum size maps', () => {
+    const size = GAME_CONFIG.MAX_MAP_SIZE;
+
+    test('should find near-optimal castle-to-castle routes with a fraction of the work', () => {
+      const map = MapGenerator.generateMap(size, { seed: 'benchmark', mode: 'noise' });
+      const castles = map.flat().filter((tile) => tile.castle);
+
+      // Build the abstract graph once, as the first order on a new map would
+      HierarchicalPathfinder.findRoute(map, castles[0].x, castles[0].y, castles[1].x, castles[1].y);
+
+      let routeWork = 0;
+      let directWork = 0;
+
+      castles.forEach((from) => {
+        castles.forEach((to) => {
+          if (from === to) {
+            return;
+          }
+          const route = HierarchicalPathfinder.findRoute(map, from.x, from.y, to.x, to.y);
+          const optimal = PathfindingSystem.findPathResult(map, from.x, from.y, to.x, to.y, {
+            cache: false, maxTime: Infinity,
+          });
+          routeWork += route.expanded;
+          directWork += optimal.expanded;
+          expect(route.status).toBe(PATH_STATUS.COMPLETE);
+
+          const path = HierarchicalPathfinder.findPath(map, from.x, from.y, to.x, to.y);
+          expectConnected(path, from.x, from.y);
+          expect(PathfindingSystem.getPathCost(map, path))
+            .toBeLessThanOrEqual(PathfindingSystem.getPathCost(map, optimal.path) * 1.2);
+        });
+      });
+
+      // Searching the abstract graph expands far fewer nodes than searching every tile
+      expect(routeWork).toBeLessThan(directWork / 5);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { MapGenerator } from '../../src/systems/MapGenerator.js';
 import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
 
 describe('MapGenerator', () => {
   describe('Story 2.1: Tile Map Generation System', () => {
@@ -93,4 +94,406 @@ describe('MapGenerator', () => {
       }
     });
   });
-});
\ No newline at end of file
+
+  describe('Seeded map generation', () => {
+    const tileIds = (map) => map.map((row) => row.map((tile) => tile.type.id).join(',')).join('\n');
+
+    test('should generate identical maps for the same seed', () => {
+      const first = MapGenerator.generateMap(30, { seed: 'map-of-the-day' });
+      const second = MapGenerator.generateMap(30, { seed: 'map-of-the-day' });
+
+      expect(tileIds(second)).toBe(tileIds(first));
+    });
+
+    test('should accept numeric seeds and expose the seed on the map', () => {
+      const map = MapGenerator.generateMap(20, { seed: 1234 });
+      expect(map.seed).toBe(1234);
+      expect(tileIds(MapGenerator.generateMap(20, { seed: 1234 }))).toBe(tileIds(map));
+    });
+
+    test('should generate different maps for different seeds', () => {
+      const first = MapGenerator.generateMap(30, { seed: 1 });
+      const second = MapGenerator.generateMap(30, { seed: 2 });
+
+      expect(tileIds(second)).not.toBe(tileIds(first));
+    });
+
+    test('should pick and expose a seed when none is given', () => {
+      const map = MapGenerator.generateMap(20);
+      expect(map.seed).toBeDefined();
+      expect(tileIds(MapGenerator.generateMap(20, { seed: map.seed }))).toBe(tileIds(map));
+    });
+
+    test('should use a pluggable PRNG for all terrain rolls', () => {
+      const seeds = [];
+      const createRandom = (seed) => {
+        seeds.push(seed);
+        return { next: () => 0 };
+      };
+      const map = MapGenerator.generateMap(10, { seed: 'flat', createRandom });
+
+      expect(seeds).toEqual(['flat']);
+      map.forEach((row) => row.forEach((tile) => {
+        expect(tile.type).toBe(GAME_CONFIG.TILE_TYPES[0]);
+      }));
+    });
+  });
+
+  describe('Noise-based terrain generation', () => {
+    // Fraction of orthogonally adjacent tile pairs that share a tile type
+    const sameNeighbourRatio = (map) => {
+      let same = 0;
+      let total = 0;
+      for (let y = 0; y < map.length; y++) {
+        for (let x = 0; x < map[y].length; x++) {
+          if (x + 1 < map[y].length) {
+            total++;
+            if (map[y][x + 1].type === map[y][x].type) same++;
+          }
+          if (y + 1 < map.length) {
+            total++;
+            if (map[y + 1][x].type === map[y][x].type) same++;
+          }
+        }
+      }
+      return same / total;
+    };
+
+    test('should produce contiguous regions instead of salt-and-pepper terrain', () => {
+      const noiseMap = MapGenerator.generateMap(50, { seed: 'biomes', mode: 'noise' });
+      const randomMap = MapGenerator.generateMap(50, { seed: 'biomes', mode: 'random' });
+
+      expect(sameNeighbourRatio(noiseMap)).toBeGreaterThan(sameNeighbourRatio(randomMap) + 0.15);
+    });
+
+    test('should approximately honour the configured tile probabilities', () => {
+      const map = MapGenerator.generateMap(50, { seed: 'ratios', mode: 'noise' });
+      const counts = {};
+      map.forEach((row) => row.forEach((tile) => {
+        counts[tile.type.id] = (counts[tile.type.id] || 0) + 1;
+      }));
+
+      GAME_CONFIG.TILE_TYPES.forEach((tileType) => {
+        const ratio = (counts[tileType.id] || 0) / (50 * 50);
+        expect(Math.abs(ratio - tileType.probability)).toBeLessThan(0.1);
+      });
+    });
+
+    test('should be reproducible from the seed', () => {
+      const ids = (map) => map.map((row) => row.map((tile) => tile.type.id).join(',')).join('\n');
+      const first = MapGenerator.generateMap(30, { seed: 7, mode: 'noise' });
+      const second = MapGenerator.generateMap(30, { seed: 7, mode: 'noise' });
+
+      expect(ids(second)).toBe(ids(first));
+    });
+
+    test('should map every tile onto a configured tile type', () => {
+      const terrain = MapGenerator.generateNoiseTerrain(40, 25, new SeededRandom('terrain'));
+
+      expect(terrain.length).toBe(25);
+      terrain.forEach((row) => {
+        expect(row.length).toBe(40);
+        row.forEach((tileType) => expect(GAME_CONFIG.TILE_TYPES).toContain(tileType));
+      });
+    });
+
+    test('should reject unknown generation modes', () => {
+      expect(() => MapGenerator.generateMap(10, { mode: 'fractal' })).toThrow('Unknown map generation mode');
+    });
+  });
+
+  describe('Symmetric map generation', () => {
+    const size = 20;
+    const castles = [
+      { x: 1, y: 1 },
+      { x: size - 2, y: 1 },
+      { x: 1, y: size - 2 },
+      { x: size - 2, y: size - 2 },
+    ];
+
+    // Terrain id at an offset from a castle, or null when off the map
+    const terrainAt = (map, x, y) => (map[y] && map[y][x] ? map[y][x].type.id : null);
+
+    test('mirror4 should give every castle an identical mirrored surrounding', () => {
+      const map = MapGenerator.generateMap(size, { seed: 'fair', symmetry: 'mirror4' });
+
+      for (let dy = -3; dy <= 3; dy++) {
+        for (let dx = -3; dx <= 3; dx++) {
+          const reference = terrainAt(map, castles[0].x + dx, castles[0].y + dy);
+          expect(terrainAt(map, castles[1].x - dx, castles[1].y + dy)).toBe(reference);
+          expect(terrainAt(map, castles[2].x + dx, castles[2].y - dy)).toBe(reference);
+          expect(terrainAt(map, castles[3].x - dx, castles[3].y - dy)).toBe(reference);
+        }
+      }
+    });
+
+    test('rotate4 should give every castle an identical rotated surrounding', () => {
+      const map = MapGenerator.generateMap(size, { seed: 'fair', symmetry: 'rotate4', mode: 'noise' });
+
+      for (let dy = -3; dy <= 3; dy++) {
+        for (let dx = -3; dx <= 3; dx++) {
+          const reference = terrainAt(map, castles[0].x + dx, castles[0].y + dy);
+          // Each quarter turn maps the offset (dx, dy) to (-dy, dx)
+          expect(terrainAt(map, castles[1].x - dy, castles[1].y + dx)).toBe(reference);
+          expect(terrainAt(map, castles[3].x - dx, castles[3].y - dy)).toBe(reference);
+          expect(terrainAt(map, castles[2].x + dy, castles[2].y - dx)).toBe(reference);
+        }
+      }
+    });
+
+    test('mirror2 should mirror the left half onto the right half', () => {
+      const map = MapGenerator.generateMap(size, { seed: 'fair', symmetry: 'mirror2' });
+
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          expect(map[y][size - 1 - x].type.id).toBe(map[y][x].type.id);
+        }
+      }
+    });
+
+    test('should keep the whole map symmetric after connectivity carving', () => {
+      ['mirror2', 'rotate4', 'mirror4'].forEach((symmetry) => {
+        const map = MapGenerator.generateMap(15, { seed: symmetry, symmetry });
+
+        for (let y = 0; y < 15; y++) {
+          for (let x = 0; x < 15; x++) {
+            MapGenerator.getSymmetricPositions(x, y, 15, 15, symmetry).forEach((pos) => {
+              expect(map[pos.y][pos.x].type.id).toBe(map[y][x].type.id);
+            });
+          }
+        }
+      });
+    });
+
+    test('should reject unknown symmetry options', () => {
+      expect(() => MapGenerator.generateMap(10, { symmetry: 'mirror3' })).toThrow('Unknown map symmetry');
+    });
+  });
+
+  describe('Castle connectivity', () => {
+    const grass = GAME_CONFIG.TILE_TYPES.find((t) => t.passable);
+    const wall = GAME_CONFIG.TILE_TYPES.find((t) => !t.passable);
+    const castlesOf = (map) => map.flat().filter((tile) => tile.castle);
+
+    test('should connect every castle for many seeds', () => {
+      for (let seed = 0; seed < 20; seed++) {
+        const map = MapGenerator.generateMap(25, { seed });
+        const regions = MapGenerator.labelRegions(map);
+        const castleRegions = new Set(castlesOf(map).map((tile) => regions[tile.y * 25 + tile.x]));
+
+        expect(castleRegions.size).toBe(1);
+      }
+    });
+
+    test('should not modify terrain when castles are already connected', () => {
+      const map = MapGenerator.generateMap(12, { seed: 'open' });
+      map.flat().forEach((tile) => { tile.type = grass; });
+      const castles = castlesOf(map);
+
+      expect(MapGenerator.ensureCastleConnectivity(map, castles)).toBe(0);
+      expect(map.flat().every((tile) => tile.type === grass)).toBe(true);
+    });
+
+    test('should carve only the minimal connection through a wall', () => {
+      const map = MapGenerator.generateMap(12, { seed: 'wall' });
+      map.flat().forEach((tile) => {
+        tile.type = tile.x === 6 ? wall : grass;
+      });
+      const castles = castlesOf(map);
+
+      // A one tile thick wall splits the map in two, a single carve reconnects it
+      expect(MapGenerator.ensureCastleConnectivity(map, castles)).toBe(1);
+      expect(map.flat().filter((tile) => tile.type === wall).length).toBe(11);
+    });
+
+    test('should report how many tiles were modified on the map', () => {
+      const map = MapGenerator.generateMap(20, { seed: 'report' });
+      expect(typeof map.carvedTiles).toBe('number');
+      expect(map.carvedTiles).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('Faction count and castle placement', () => {
+    const castlesOf = (map) => map.flat().filter((tile) => tile.castle).map((tile) => tile.castle);
+    const distance = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+
+    test('should place one castle per faction for 2-8 factions', () => {
+      for (let factionCount = 2; factionCount <= 8; factionCount++) {
+        const map = MapGenerator.generateMap(30, { seed: factionCount, factionCount, placement: 'ring' });
+        const castles = castlesOf(map);
+
+        expect(castles.length).toBe(factionCount);
+        expect(castles.map((c) => c.factionId).sort((a, b) => a - b))
+          .toEqual([...Array(factionCount).keys()]);
+        expect(map.factions.map((f) => f.id)).toEqual([...Array(factionCount).keys()]);
+      }
+    });
+
+    test('should place two factions on opposite corners for 1v1 matches', () => {
+      const map = MapGenerator.generateMap(20, { seed: '1v1', factionCount: 2 });
+
+      expect(map[1][1].castle.factionId).toBe(0);
+      expect(map[18][18].castle.factionId).toBe(1);
+      expect(castlesOf(map).length).toBe(2);
+    });
+
+    test('should keep the default four corner castles', () => {
+      const map = MapGenerator.generateMap(20, { seed: 'default' });
+
+      expect(map.factions.length).toBe(GAME_CONFIG.DEFAULT_FACTION_COUNT);
+      expect(map[1][18].castle.factionId).toBe(1);
+      expect(map[18][1].castle.factionId).toBe(2);
+    });
+
+    test('should spread 5-8 factions on a ring when no placement is given', () => {
+      for (let factionCount = 5; factionCount <= 8; factionCount++) {
+        const map = MapGenerator.generateMap(30, { seed: factionCount, factionCount });
+        const castles = castlesOf(map);
+
+        expect(castles.length).toBe(factionCount);
+        expect(castles.map((c) => ({ x: c.x, y: c.y })))
+          .toEqual(expect.arrayContaining(MapGenerator.getRingPositions(30, 30, factionCount)));
+        expect(map.factions.length).toBe(factionCount);
+      }
+    });
+
+    test('should spread poisson-sampled castles at least the minimum distance apart', () => {
+      const map = MapGenerator.generateMap(40, {
+        seed: 'poisson', factionCount: 6, placement: 'poisson', minCastleDistance: 8,
+      });
+      const castles = castlesOf(map);
+
+      expect(castles.length).toBe(6);
+      castles.forEach((a, i) => castles.slice(i + 1).forEach((b) => {
+        expect(distance(a, b)).toBeGreaterThanOrEqual(8);
+      }));
+    });
+
+    test('should use explicit castle coordinates', () => {
+      const castlePositions = [{ x: 2, y: 3 }, { x: 12, y: 3 }, { x: 7, y: 12 }];
+      const map = MapGenerator.generateMap(15, { seed: 'explicit', castlePositions });
+
+      castlePositions.forEach((pos, index) => {
+        expect(map[pos.y][pos.x].castle.factionId).toBe(index);
+        expect(map[pos.y][pos.x].type.passable).toBe(true);
+      });
+      expect(map.factions.length).toBe(3);
+    });
+
+    test('should connect castles for every placement strategy', () => {
+      ['corners', 'ring', 'poisson'].forEach((placement) => {
+        const map = MapGenerator.generateMap(25, { seed: placement, placement, factionCount: 4 });
+        const regions = MapGenerator.labelRegions(map);
+        const castleRegions = new Set(castlesOf(map).map((c) => regions[c.y * 25 + c.x]));
+
+        expect(castleRegions.size).toBe(1);
+      });
+    });
+
+    test('should enforce the minimum distance between castles', () => {
+      expect(() => MapGenerator.generateMap(15, {
+        castlePositions: [{ x: 2, y: 2 }, { x: 3, y: 3 }],
+        minCastleDistance: 5,
+      })).toThrow('closer than 5 tiles');
+    });
+
+    test('should reject invalid faction counts and placements', () => {
+      expect(() => MapGenerator.generateMap(20, { factionCount: 1 })).toThrow('Faction count');
+      expect(() => MapGenerator.generateMap(20, { factionCount: 9 })).toThrow('Faction count');
+      expect(() => MapGenerator.generateMap(20, { factionCount: 6, placement: 'corners' })).toThrow('at most 4');
+      expect(() => MapGenerator.generateMap(20, { placement: 'spiral' })).toThrow('Unknown castle placement');
+      expect(() => MapGenerator.generateMap(10, { castlePositions: [{ x: 1, y: 1 }, { x: 12, y: 1 }] }))
+        .toThrow('outside');
+    });
+  });
+
+  describe('Neutral castles', () => {
+    const castlesOf = (map) => map.flat().filter((tile) => tile.castle).map((tile) => tile.castle);
+
+    test('should scatter the requested number of neutral castles', () => {
+      const map = MapGenerator.generateMap(30, { seed: 'neutral', neutralCastles: 3 });
+      const neutral = castlesOf(map).filter((castle) => castle.isNeutral());
+
+      expect(neutral.length).toBe(3);
+      expect(castlesOf(map).filter((castle) => !castle.isNeutral()).length).toBe(4);
+      neutral.forEach((castle) => {
+        expect(castle.unitCount).toBe(GAME_CONFIG.NEUTRAL_CASTLES.GARRISON);
+        expect(map[castle.y][castle.x].type.passable).toBe(true);
+      });
+    });
+
+    test('should keep neutral castles away from other castles and connected to them', () => {
+      const map = MapGenerator.generateMap(30, { seed: 'spread', neutralCastles: 4 });
+      const castles = castlesOf(map);
+      const regions = MapGenerator.labelRegions(map);
+
+      castles.forEach((a, i) => castles.slice(i + 1).forEach((b) => {
+        expect(MapGenerator.getDistance(a, b)).toBeGreaterThanOrEqual(GAME_CONFIG.NEUTRAL_CASTLES.MIN_DISTANCE);
+      }));
+      expect(new Set(castles.map((c) => regions[c.y * 30 + c.x])).size).toBe(1);
+    });
+
+    test('should round neutral castles up to whole mirror groups on symmetric maps', () => {
+      const cases = [['mirror2', 3, 4], ['mirror4', 1, 4], ['rotate4', 5, 8]];
+      cases.forEach(([symmetry, count, expected]) => {
+        const map = MapGenerator.generateMap(30, {
+          seed: symmetry, symmetry, neutralCastles: count,
+        });
+        const neutral = castlesOf(map).filter((castle) => castle.isNeutral());
+
+        expect(neutral.length).toBe(expected);
+        neutral.forEach(({ x, y }) => {
+          MapGenerator.getSymmetricPositions(x, y, 30, 30, symmetry).forEach((pos) => {
+            expect(map[pos.y][pos.x].castle.isNeutral()).toBe(true);
+          });
+        });
+      });
+    });
+
+    test('should place no neutral castles by default', () => {
+      const map = MapGenerator.generateMap(20, { seed: 'none' });
+      expect(castlesOf(map).some((castle) => castle.isNeutral())).toBe(false);
+    });
+  });
+
+  describe('Rectangular maps', () => {
+    test('should generate independent width and height', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'wide', width: 30, height: 15 });
+
+      expect(map.length).toBe(15);
+      map.forEach((row, y) => {
+        expect(row.length).toBe(30);
+        row.forEach((tile, x) => {
+          expect(tile.x).toBe(x);
+          expect(tile.y).toBe(y);
+        });
+      });
+    });
+
+    test('should place corner castles using both dimensions', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'tall', width: 14, height: 24 });
+
+      expect(map[1][1].castle.factionId).toBe(0);
+      expect(map[1][12].castle.factionId).toBe(1);
+      expect(map[22][1].castle.factionId).toBe(2);
+      expect(map[22][12].castle.factionId).toBe(3);
+    });
+
+    test('should support noise terrain and mirror symmetry on rectangular maps', () => {
+      const map = MapGenerator.generateMap(10, {
+        seed: 'rect', width: 26, height: 12, mode: 'noise', symmetry: 'mirror4',
+      });
+
+      for (let y = 0; y < 12; y++) {
+        for (let x = 0; x < 26; x++) {
+          expect(map[11 - y][25 - x].type.id).toBe(map[y][x].type.id);
+        }
+      }
+    });
+
+    test('should reject rotational symmetry on non-square maps', () => {
+      expect(() => MapGenerator.generateMap(10, { width: 20, height: 10, symmetry: 'rotate4' }))
+        .toThrow('square');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { readFileSync } from 'fs';
+import {
+  MapSerializer, MapFormatError, MAP_FORMAT, MAP_FORMAT_VERSION,
+} from '../../src/systems/MapSerializer.js';
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+
+const loadFixture = (name) => readFileSync(new URL(`../fixtures/maps/${name}`, import.meta.url), 'utf8');
+
+const createSmallMapData = () => ({
+  format: MAP_FORMAT,
+  version: MAP_FORMAT_VERSION,
+  width: 3,
+  height: 2,
+  tiles: [
+    [0, 0, 0],
+    [0, 1, 0],
+  ],
+  castles: [
+    {
+      x: 0, y: 0, factionId: 0, productionRate: 120, garrison: 10,
+    },
+    {
+      x: 2, y: 1, factionId: 1, productionRate: 90, garrison: 5,
+    },
+  ],
+});
+
+// Expect deserialize to throw a MapFormatError and return it for further checks
+const expectFormatError = (data) => {
+  let caught = null;
+  try {
+    MapSerializer.deserialize(data);
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).toBeInstanceOf(MapFormatError);
+  return caught;
+};
+
+describe('MapSerializer', () => {
+  describe('Serialization', () => {
+    test('should write tile type ids row by row', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'export-tiles' });
+      const data = MapSerializer.serialize(map);
+
+      expect(data.format).toBe(MAP_FORMAT);
+      expect(data.version).toBe(MAP_FORMAT_VERSION);
+      expect(data.width).toBe(10);
+      expect(data.height).toBe(10);
+      expect(data.seed).toBe('export-tiles');
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+          expect(data.tiles[y][x]).toBe(map[y][x].type.id);
+        }
+      }
+    });
+
+    test('should write castle owners, production rates and garrisons', () => {
+      const map = MapGenerator.generateMap(12, { seed: 'export-castles', neutralCastles: 1 });
+      map[1][1].castle.unitCount = 42;
+      const data = MapSerializer.serialize(map);
+
+      expect(data.castles).toContainEqual({
+        x: 1,
+        y: 1,
+        factionId: map[1][1].castle.factionId,
+        productionRate: map[1][1].castle.productionRate,
+        garrison: 42,
+      });
+
+      const neutral = data.castles.filter((c) => c.factionId === null);
+      expect(neutral.length).toBe(1);
+      expect(neutral[0].producesWhenNeutral)
+        .toBe(GAME_CONFIG.NEUTRAL_CASTLES.PRODUCES_WHEN_NEUTRAL);
+    });
+
+    test('should produce JSON text', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'export-json' });
+      const json = MapSerializer.toJSON(map);
+
+      expect(JSON.parse(json)).toEqual(MapSerializer.serialize(map));
+    });
+  });
+
+  describe('Round trip', () => {
+    test('should restore a generated map exactly', () => {
+      const map = MapGenerator.generateMap(15, {
+        width: 15, height: 11, seed: 'round-trip', factionCount: 3, placement: 'ring', neutralCastles: 2,
+      });
+      map[4][4].addUnit({
+        factionId: 2, count: 7, x: 4, y: 4, isMoving: false,
+      });
+
+      const restored = MapSerializer.deserialize(MapSerializer.toJSON(map));
+
+      expect(restored.length).toBe(11);
+      expect(restored[0].length).toBe(15);
+      expect(restored.seed).toBe('round-trip');
+      expect(restored.factions.map((f) => f.id)).toEqual([0, 1, 2]);
+      expect(MapSerializer.serialize(restored)).toEqual(MapSerializer.serialize(map));
+    });
+
+    test('should restore neutral castles as neutral', () => {
+      const map = MapGenerator.generateMap(12, { seed: 'round-trip-neutral', neutralCastles: 2 });
+      const restored = MapSerializer.deserialize(MapSerializer.serialize(map));
+
+      const neutral = restored.flat().filter((tile) => tile.castle && tile.castle.isNeutral());
+      expect(neutral.length).toBe(2);
+      neutral.forEach((tile) => {
+        expect(tile.castle.unitCount).toBe(GAME_CONFIG.NEUTRAL_CASTLES.GARRISON);
+      });
+    });
+  });
+
+  describe('Fixtures', () => {
+    test('should load a hand-crafted scenario', () => {
+      const map = MapSerializer.deserialize(loadFixture('crossroads.json'));
+
+      expect(map.length).toBe(6);
+      expect(map[0].length).toBe(8);
+      expect(map[0][3].type.name).toBe('water');
+      expect(map[2][0].type.name).toBe('mountain');
+      expect(map.factions.map((f) => f.name)).toEqual(['Red', 'Blue']);
+
+      expect(map[0][0].castle.factionId).toBe(0);
+      expect(map[0][0].castle.unitCount).toBe(10);
+      expect(map[5][7].castle.factionId).toBe(1);
+      expect(map[2][4].castle.isNeutral()).toBe(true);
+      expect(map[2][4].castle.unitCount).toBe(15);
+      expect(map[2][4].castle.producesWhenNeutral).toBe(false);
+
+      expect(map[3][2].getTotalUnitsForFaction(1)).toBe(4);
+      expect(map.seed).toBeUndefined();
+    });
+
+    test('should default the factions to the castle owners', () => {
+      const data = createSmallMapData();
+      data.castles[1].factionId = 3;
+
+      const map = MapSerializer.deserialize(data);
+      expect(map.factions.map((f) => f.id)).toEqual([0, 3]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject malformed JSON text', () => {
+      const error = expectFormatError('{ "format": ');
+      expect(error.message).toMatch(/not valid JSON/);
+    });
+
+    test('should reject an unknown format or version', () => {
+      expect(expectFormatError({ ...createSmallMapData(), format: 'other' }).path).toBe('format');
+
+      const error = expectFormatError({ ...createSmallMapData(), version: 2 });
+      expect(error.path).toBe('version');
+      expect(error.message).toMatch(/unsupported version 2/);
+    });
+
+    test('should reject dimensions that do not match the tile rows', () => {
+      const data = createSmallMapData();
+      data.tiles[1] = [0, 0];
+
+      const error = expectFormatError(data);
+      expect(error.path).toBe('tiles[1]');
+    });
+
+    test('should point to the tile with an unknown type id', () => {
+      const data = createSmallMapData();
+      data.tiles[1][2] = 99;
+
+      const error = expectFormatError(data);
+      expect(error.path).toBe('tiles[1][2]');
+      expect(error.tile).toEqual({ x: 2, y: 1 });
+      expect(error.message).toMatch(/tile \(2, 1\)/);
+      expect(error.message).toMatch(/unknown tile type id 99/);
+    });
+
+    test('should point to a castle placed on an impassable tile', () => {
+      const data = createSmallMapData();
+      data.castles[1].x = 1;
+
+      const error = expectFormatError(data);
+      expect(error.path).toBe('castles[1]');
+      expect(error.tile).toEqual({ x: 1, y: 1 });
+      expect(error.message).toMatch(/water is impassable/);
+    });
+
+    test('should reject castles outside the map or stacked on one tile', () => {
+      const outside = createSmallMapData();
+      outside.castles[0].y = 5;
+      expect(expectFormatError(outside).message).toMatch(/outside the map/);
+
+      const stacked = createSmallMapData();
+      stacked.castles[1] = { ...stacked.castles[0] };
+      expect(expectFormatError(stacked).message).toMatch(/already placed/);
+    });
+
+    test('should reject invalid castle owners, production rates and garrisons', () => {
+      const owner = createSmallMapData();
+      owner.castles[0].factionId = 42;
+      expect(expectFormatError(owner).path).toBe('castles[0].factionId');
+
+      const rate = createSmallMapData();
+      rate.castles[0].productionRate = 0;
+      expect(expectFormatError(rate).path).toBe('castles[0].productionRate');
+
+      const garrison = createSmallMapData();
+      garrison.castles[1].garrison = -3;
+      const error = expectFormatError(garrison);
+      expect(error.path).toBe('castles[1].garrison');
+      expect(error.tile).toEqual({ x: 2, y: 1 });
+    });
+
+    test('should reject invalid unit groups', () => {
+      const data = createSmallMapData();
+      data.units = [{
+        x: 1, y: 0, factionId: 0, count: 0,
+      }];
+
+      const error = expectFormatError(data);
+      expect(error.path).toBe('units[0].count');
+      expect(error.tile).toEqual({ x: 1, y: 0 });
+    });
+  });
+});
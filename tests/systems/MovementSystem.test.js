@@ -1,6 +1,11 @@
 import { MovementSystem } from '../../src/systems/MovementSystem.js';
 import { MapGenerator } from '../../src/systems/MapGenerator.js';
 import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { Unit } from '../../src/entities/Unit.js';
+import { PathfindingSystem, PATH_STATUS } from '../../src/systems/PathfindingSystem.js';
+import { HierarchicalPathfinder } from '../../src/systems/HierarchicalPathfinder.js';
+import { FlowFieldSystem } from '../../src/systems/FlowFieldSystem.js';
+import { PathfindingService } from '../../src/systems/PathfindingService.js';
 
 describe('MovementSystem', () => {
   let movementSystem;
@@ -11,6 +16,16 @@ describe('MovementSystem', () => {
     map = MapGenerator.generateMap(20);
   });
 
+  // Updates until no unit is moving, calling onFrame after every update
+  const runToCompletion = (onFrame = () => {}) => {
+    let frames = 0;
+    while (movementSystem.getMovingUnits().length > 0 && frames < 5000) {
+      movementSystem.update(20, map);
+      onFrame();
+      frames++;
+    }
+  };
+
   describe('Story 3.1: Two-Click Selection Interface', () => {
     test('should select castle and highlight available units on first click', () => {
       const castle = map[1][1].castle; // Top-left castle
@@ -54,10 +69,10 @@ describe('MovementSystem', () => {
 
   describe('Story 3.3: Smooth Animation and Speed Multipliers', () => {
     test('should implement 4 faction speed multipliers', () => {
-      expect(GAME_CONFIG.FACTIONS.length).toBe(4);
+      expect(GAME_CONFIG.DEFAULT_FACTION_COUNT).toBe(4);
       
       const expectedSpeeds = [0.5, 0.75, 1.0, 1.5];
-      GAME_CONFIG.FACTIONS.forEach((faction, index) => {
+      GAME_CONFIG.FACTIONS.slice(0, 4).forEach((faction, index) => {
         expect(faction.speed).toBe(expectedSpeeds[index]);
       });
     });
@@ -136,4 +151,953 @@ describe('MovementSystem', () => {
       expect(castle.unitCount).toBeGreaterThan(initialCount);
     });
   });
-});
\ No newline at end of file
+
+  describe('Terrain-dependent travel speed', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const forest = {
+      id: 3, name: 'forest', passable: true, movementCost: 2,
+    };
+
+    // Open map with a single corridor along row 1 from the Red castle at (1, 1)
+    const prepareCorridor = (corridorType) => {
+      map.flat().forEach((tile) => { tile.type = GAME_CONFIG.TILE_TYPES[1]; });
+      for (let x = 1; x <= 10; x++) {
+        map[1][x].type = x === 1 ? grass : corridorType;
+      }
+    };
+
+    const timeUntilArrival = (frameTime) => {
+      let elapsed = 0;
+      while (movementSystem.getMovingUnits().length > 0 && elapsed < 60000) {
+        movementSystem.update(frameTime, map);
+        elapsed += frameTime;
+      }
+      return elapsed;
+    };
+
+    test('should scale unit speed by the terrain multiplier', () => {
+      const unit = new Unit(0, 5);
+      unit.speed = 100;
+      unit.setPosition(0, 0);
+      unit.setPath([{ x: 100, y: 0 }]);
+
+      unit.update(100, 1, 0.5);
+      expect(unit.x).toBeCloseTo(5);
+    });
+
+    test('should slow units down on costly terrain', () => {
+      prepareCorridor(grass);
+      movementSystem.moveUnits(map, 1, 1, 10, 1, 5);
+      const grassTime = timeUntilArrival(10);
+      expect(map[1][10].getTotalUnitsForFaction(0)).toBe(5);
+      map[1][10].units = [];
+
+      movementSystem = new MovementSystem();
+      prepareCorridor(forest);
+      movementSystem.moveUnits(map, 1, 1, 10, 1, 5);
+      const forestTime = timeUntilArrival(10);
+
+      expect(forestTime / grassTime).toBeCloseTo(2, 1);
+    });
+
+    test('should apply faction terrain speed modifiers', () => {
+      const green = GAME_CONFIG.FACTIONS.find((f) => f.name === 'Green');
+      const red = GAME_CONFIG.FACTIONS.find((f) => f.name === 'Red');
+      map[3][3].type = forest;
+
+      expect(movementSystem.getTerrainSpeedMultiplier(map[3][3], red)).toBe(0.5);
+      expect(movementSystem.getTerrainSpeedMultiplier(map[3][3], green))
+        .toBe(green.terrainSpeedModifiers.forest / 2);
+
+      map[3][3].type = grass;
+      expect(movementSystem.getTerrainSpeedMultiplier(map[3][3], red)).toBe(1);
+    });
+
+    test('should estimate arrival time from the terrain along the remaining path', () => {
+      prepareCorridor(forest);
+      movementSystem.moveUnits(map, 1, 1, 10, 1, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+
+      // 9 forest tiles at half of Red's speed
+      const red = GAME_CONFIG.FACTIONS[0];
+      const expected = ((9 * GAME_CONFIG.TILE_SIZE) / (unit.speed * red.speed * 0.5)) * 1000;
+      expect(movementSystem.estimateTravelTime(unit, map)).toBeCloseTo(expected);
+
+      const actual = timeUntilArrival(10);
+      expect(Math.abs(actual - expected) / expected).toBeLessThan(0.05);
+    });
+  });
+
+  describe('Order results', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      // Wall in the tile (10, 10)
+      [[9, 10], [11, 10], [10, 9], [10, 11]].forEach(([x, y]) => { map[y][x].type = water; });
+    });
+
+    test('should describe a successful order', () => {
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 5, 1, 5);
+
+      expect(result.success).toBe(true);
+      expect(result.status).toBe(PATH_STATUS.COMPLETE);
+      expect(result.reason).toBeNull();
+      expect(result.destination).toEqual({ x: 5, y: 1 });
+      expect(result.path.length).toBe(4);
+    });
+
+    test('should refuse orders to unreachable tiles by default', () => {
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 10, 10, 5);
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(PATH_STATUS.PARTIAL);
+      expect(result.reason).toMatch(/cannot be reached/);
+      expect(movementSystem.moveUnits(map, 1, 1, 10, 10, 5)).toBe(false);
+      expect(movementSystem.getMovingUnits().length).toBe(0);
+      expect(map[1][1].castle.unitCount).toBe(10);
+    });
+
+    test('should shorten orders to the closest reachable tile when allowed', () => {
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 10, 10, 5, { allowPartial: true });
+
+      expect(result.success).toBe(true);
+      expect(result.status).toBe(PATH_STATUS.PARTIAL);
+      expect(result.destination).toEqual({ x: 9, y: 9 });
+      expect(result.reason).toMatch(/moving to \(9, 9\) instead/);
+
+      const unit = movementSystem.getMovingUnits()[0];
+      expect(unit.destinationTile).toEqual({ x: 9, y: 9 });
+    });
+
+    test('should explain refused orders', () => {
+      const sameTile = movementSystem.issueMoveOrder(map, 1, 1, 1, 1, 5);
+      expect(sameTile.status).toBe(PATH_STATUS.INVALID);
+      expect(sameTile.reason).toMatch(/same location/);
+
+      const tooMany = movementSystem.issueMoveOrder(map, 1, 1, 5, 5, 500);
+      expect(tooMany.success).toBe(false);
+      expect(tooMany.reason).toMatch(/Not enough units/);
+
+      const impassable = movementSystem.issueMoveOrder(map, 1, 1, 9, 10, 5, { allowPartial: true });
+      expect(impassable.status).toBe(PATH_STATUS.INVALID);
+      expect(impassable.reason).toMatch(/impassable/);
+    });
+  });
+
+  describe('Pathfinders', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const largeSize = GAME_CONFIG.PATHFINDING.HIERARCHICAL_MIN_SIZE;
+
+    const createLargeMap = () => {
+      const largeMap = MapGenerator.generateMap(largeSize, { seed: 'large-orders' });
+      largeMap.flat().forEach((tile) => { tile.type = grass; });
+      return largeMap;
+    };
+
+    test('should pick the pathfinder by map size', () => {
+      expect(movementSystem.getPathfinder(map)).toBe(PathfindingSystem);
+      expect(movementSystem.getPathfinder(createLargeMap())).toBe(HierarchicalPathfinder);
+
+      const custom = new MovementSystem({ pathfinder: PathfindingSystem });
+      expect(custom.getPathfinder(createLargeMap())).toBe(PathfindingSystem);
+    });
+
+    test('should accept any pathfinder with the findPathResult interface', () => {
+      const calls = [];
+      const straightLine = {
+        findPathResult: (m, fromX, fromY, toX, toY) => {
+          calls.push([fromX, fromY, toX, toY]);
+          const path = [];
+          for (let x = fromX + 1; x <= toX; x++) {
+            path.push({ x, y: fromY });
+          }
+          return { status: PATH_STATUS.COMPLETE, path, end: { x: toX, y: toY } };
+        },
+      };
+      map.flat().forEach((tile) => { tile.type = grass; });
+
+      movementSystem = new MovementSystem({ pathfinder: straightLine });
+      expect(movementSystem.moveUnits(map, 1, 1, 4, 1, 5)).toBe(true);
+      expect(calls).toEqual([[1, 1, 4, 1]]);
+      expect(movementSystem.getMovingUnits()[0].path.length).toBe(3);
+    });
+
+    test('should refine hierarchical routes one segment at a time', () => {
+      const largeMap = createLargeMap();
+      const target = { x: largeSize - 2, y: largeSize - 2 };
+      largeMap[target.y][target.x].castle = null;
+
+      const result = movementSystem.issueMoveOrder(largeMap, 1, 1, target.x, target.y, 5);
+      expect(result.success).toBe(true);
+      expect(result.destination).toEqual(target);
+
+      // Only the first segment is walked as tiles, the rest of the route waits as waypoints
+      const unit = movementSystem.getMovingUnits()[0];
+      expect(unit.waypoints.length).toBeGreaterThan(0);
+      expect(unit.waypoints[unit.waypoints.length - 1]).toEqual(target);
+      expect(unit.path.length).toBe(result.path.length);
+      expect(result.path.length).toBeLessThan(2 * GAME_CONFIG.PATHFINDING.CLUSTER_SIZE);
+
+      // The estimate covers the whole route, not just the current segment
+      const tiles = Math.abs(target.x - 1) + Math.abs(target.y - 1);
+      const faction = GAME_CONFIG.FACTIONS[unit.factionId];
+      const straightTime = ((tiles * GAME_CONFIG.TILE_SIZE) / (unit.speed * faction.speed)) * 1000;
+      expect(movementSystem.estimateTravelTime(unit, largeMap)).toBeGreaterThan(straightTime / 2);
+
+      let frames = 0;
+      while (movementSystem.getMovingUnits().length > 0 && frames < 5000) {
+        movementSystem.update(100, largeMap);
+        frames++;
+      }
+
+      expect(unit.waypoints).toEqual([]);
+      expect(largeMap[target.y][target.x].units.length).toBe(1);
+      expect(largeMap[target.y][target.x].units[0].count).toBe(5);
+    });
+
+    test('should stop units whose next segment became impassable', () => {
+      const largeMap = createLargeMap();
+      const target = { x: largeSize - 2, y: 1 };
+      largeMap[target.y][target.x].castle = null;
+
+      movementSystem.issueMoveOrder(largeMap, 1, 1, target.x, target.y, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+      const firstWaypoint = unit.path[unit.path.length - 1];
+
+      // Wall off everything past the first segment
+      largeMap.flat().forEach((tile) => {
+        if (tile.x > firstWaypoint.x / GAME_CONFIG.TILE_SIZE) {
+          tile.type = GAME_CONFIG.TILE_TYPES[1];
+        }
+      });
+
+      let frames = 0;
+      while (movementSystem.getMovingUnits().length > 0 && frames < 5000) {
+        movementSystem.update(100, largeMap);
+        frames++;
+      }
+
+      expect(movementSystem.getMovingUnits().length).toBe(0);
+      expect(unit.destinationTile).toEqual({
+        x: firstWaypoint.x / GAME_CONFIG.TILE_SIZE,
+        y: firstWaypoint.y / GAME_CONFIG.TILE_SIZE,
+      });
+    });
+  });
+
+  describe('Mass orders', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      [[3, 3], [6, 2], [2, 8]].forEach(([x, y]) => {
+        map[y][x].addUnit({
+          factionId: 0, count: 4, x, y, isMoving: false,
+        });
+      });
+    });
+
+    test('should send every group along the shared flow field', () => {
+      const origins = [
+        { x: 1, y: 1, unitCount: 5 },
+        { x: 3, y: 3, unitCount: 4 },
+        { x: 6, y: 2, unitCount: 4 },
+        { x: 2, y: 8, unitCount: 4 },
+      ];
+      const results = movementSystem.issueMassMoveOrder(map, origins, 12, 12);
+      const field = FlowFieldSystem.getFlowField(map, 12, 12);
+
+      expect(results.every((result) => result.success)).toBe(true);
+      results.forEach((result, index) => {
+        const { x, y } = origins[index];
+        expect(result.path).toEqual(FlowFieldSystem.getPath(field, x, y));
+        expect(result.destination).toEqual({ x: 12, y: 12 });
+      });
+      expect(movementSystem.getMovingUnits().length).toBe(4);
+
+      let frames = 0;
+      while (movementSystem.getMovingUnits().length > 0 && frames < 1000) {
+        movementSystem.update(100, map);
+        frames++;
+      }
+      const arrived = map[12][12].units.reduce((sum, unit) => sum + unit.count, 0);
+      expect(arrived).toBe(17);
+    });
+
+    test('should report groups that cannot reach the target', () => {
+      [[11, 12], [13, 12], [12, 11], [12, 13]].forEach(([x, y]) => {
+        map[y][x].type = GAME_CONFIG.TILE_TYPES[1];
+      });
+      const origins = [{ x: 1, y: 1, unitCount: 5 }, { x: 3, y: 3, unitCount: 4 }];
+
+      const refused = movementSystem.issueMassMoveOrder(map, origins, 12, 12);
+      expect(refused.map((result) => result.success)).toEqual([false, false]);
+      expect(refused[0].status).toBe(PATH_STATUS.PARTIAL);
+
+      const shortened = movementSystem.issueMassMoveOrder(map, origins, 12, 12, {
+        allowPartial: true,
+      });
+      shortened.forEach((result) => {
+        expect(result.success).toBe(true);
+        expect(result.status).toBe(PATH_STATUS.PARTIAL);
+        expect(result.destination).not.toEqual({ x: 12, y: 12 });
+      });
+    });
+  });
+
+  describe('Threat-aware orders', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      // Blue stack halfway along row 1
+      map[1][6].addUnit({
+        factionId: 1, count: 10, x: 6, y: 1, isMoving: false,
+      });
+    });
+
+    test('should ignore enemies unless a risk weight is given', () => {
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 10);
+      expect(result.path).toContainEqual({ x: 6, y: 1 });
+      expect(movementSystem.getMovingUnits()[0].riskWeight).toBe(0);
+    });
+
+    test('should route around enemy stacks with a risk weight', () => {
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 10, { riskWeight: 3 });
+
+      expect(result.success).toBe(true);
+      expect(result.path).not.toContainEqual({ x: 6, y: 1 });
+      expect(result.path[result.path.length - 1]).toEqual({ x: 10, y: 1 });
+      expect(movementSystem.getMovingUnits()[0].riskWeight).toBe(3);
+    });
+
+    test('should avoid moving enemies', () => {
+      map[1][6].units = [];
+      const enemy = new Unit(1, 10);
+      enemy.setPosition(6 * GAME_CONFIG.TILE_SIZE, 1 * GAME_CONFIG.TILE_SIZE);
+      movementSystem.getMovingUnits().push(enemy);
+
+      const result = movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 10, { riskWeight: 3 });
+      expect(result.path).not.toContainEqual({ x: 6, y: 1 });
+    });
+
+    test('should use plain, cacheable costs when there are no enemies', () => {
+      expect(movementSystem.getCostOverlay(map, 0, 10, 3)).not.toBeNull();
+
+      map[1][6].units = [];
+      map.flat().forEach((tile) => { tile.castle = null; });
+      expect(movementSystem.getCostOverlay(map, 0, 10, 3)).toBeNull();
+    });
+  });
+
+  describe('Asynchronous orders', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new PathfindingService({ worker: null });
+      map.flat().forEach((tile) => { tile.type = GAME_CONFIG.TILE_TYPES[0]; });
+    });
+
+    test('should dispatch units once the route arrives', () => {
+      const request = movementSystem.issueMoveOrderAsync(service, map, 1, 1, 5, 5, 10);
+      expect(movementSystem.getMovingUnits().length).toBe(0);
+
+      return request.then((result) => {
+        expect(result.success).toBe(true);
+        expect(result.path).toEqual(PathfindingSystem.findPath(map, 1, 1, 5, 5));
+        expect(movementSystem.getMovingUnits().length).toBe(1);
+      });
+    });
+
+    test('should refuse orders superseded on the same channel', () => {
+      const options = { channel: 'order-1,1' };
+      const first = movementSystem.issueMoveOrderAsync(service, map, 1, 1, 5, 5, 5, options);
+      const second = movementSystem.issueMoveOrderAsync(service, map, 1, 1, 6, 6, 5, options);
+
+      return Promise.all([first, second]).then(([cancelled, latest]) => {
+        expect(cancelled.success).toBe(false);
+        expect(cancelled.status).toBe(PATH_STATUS.CANCELLED);
+        expect(latest.success).toBe(true);
+        expect(latest.destination).toEqual({ x: 6, y: 6 });
+        expect(movementSystem.getMovingUnits().length).toBe(1);
+      });
+    });
+
+    test('should keep hierarchical routes and search only their first segment', () => {
+      const grass = GAME_CONFIG.TILE_TYPES[0];
+      const largeSize = GAME_CONFIG.PATHFINDING.HIERARCHICAL_MIN_SIZE;
+      const largeMap = MapGenerator.generateMap(largeSize, { seed: 'large-orders' });
+      largeMap.flat().forEach((tile) => { tile.type = grass; });
+      const target = { x: largeSize - 2, y: largeSize - 2 };
+      largeMap[target.y][target.x].castle = null;
+
+      return movementSystem.issueMoveOrderAsync(service, largeMap, 1, 1, target.x, target.y, 5)
+        .then((result) => {
+          expect(result.success).toBe(true);
+          expect(result.destination).toEqual(target);
+          expect(result.path.length).toBeLessThan(2 * GAME_CONFIG.PATHFINDING.CLUSTER_SIZE);
+
+          const unit = movementSystem.getMovingUnits()[0];
+          expect(unit.waypoints.length).toBeGreaterThan(0);
+          expect(unit.waypoints[unit.waypoints.length - 1]).toEqual(target);
+        });
+    });
+
+    test('should refuse orders from castles captured during the search', () => {
+      const { castle } = map[1][1];
+      const request = movementSystem.issueMoveOrderAsync(service, map, 1, 1, 5, 5, 5);
+      castle.factionId = 1;
+      const garrison = castle.unitCount;
+
+      return request.then((result) => {
+        expect(result.success).toBe(false);
+        expect(result.status).toBe(PATH_STATUS.INVALID);
+        expect(castle.unitCount).toBe(garrison);
+        expect(movementSystem.getMovingUnits().length).toBe(0);
+      });
+    });
+
+    test('should refuse invalid orders without searching', () => {
+      const request = movementSystem.issueMoveOrderAsync(service, map, 1, 1, 1, 1, 10);
+      expect(service.pending.size).toBe(0);
+
+      return request.then((result) => {
+        expect(result.success).toBe(false);
+      });
+    });
+  });
+
+  describe('Dynamic repathing', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+    const tileSize = GAME_CONFIG.TILE_SIZE;
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+    });
+
+    const tileOf = (unit) => movementSystem.getUnitTile(unit);
+
+    // Updates until the unit stands on the given tile
+    const walkTo = (unit, x) => {
+      let frames = 0;
+      while (tileOf(unit).x < x && frames < 1000) {
+        movementSystem.update(20, map);
+        frames++;
+      }
+    };
+
+    test('should walk around tiles that became impassable', () => {
+      movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+      walkTo(unit, 3);
+
+      map[1][6].type = water;
+      const visited = [];
+      runToCompletion(() => visited.push(tileOf(unit)));
+
+      expect(visited).not.toContainEqual({ x: 6, y: 1 });
+      expect(unit.destinationTile).toEqual({ x: 10, y: 1 });
+      expect(map[1][10].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(movementSystem.takeEvents()).toEqual([]);
+    });
+
+    test('should keep paths that are still clear', () => {
+      movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+      const { path } = unit;
+
+      map[8][8].type = water;
+      walkTo(unit, 3);
+
+      expect(unit.path).toBe(path);
+      expect(unit.pathRevision).toBe(PathfindingSystem.getMapRevision(map));
+    });
+
+    test('should stop and report units whose destination was cut off', () => {
+      movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+      walkTo(unit, 3);
+
+      map[1][10].type = water;
+      movementSystem.update(20, map);
+      runToCompletion();
+
+      const events = movementSystem.takeEvents();
+      expect(events.length).toBe(1);
+      expect(events[0]).toMatchObject({
+        type: 'UNIT_PATH_BLOCKED',
+        unit,
+        destination: { x: 10, y: 1 },
+      });
+
+      const { tile } = events[0];
+      expect(tile.x).toBeLessThan(10);
+      expect(unit.destinationTile).toEqual(tile);
+      expect(unit.x).toBe(tile.x * tileSize);
+      expect(map[tile.y][tile.x].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(movementSystem.takeEvents()).toEqual([]);
+    });
+  });
+
+  describe('Order queues', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+    });
+
+    test('should chain waypoints into one route', () => {
+      const result = movementSystem.issueWaypointOrder(map, 1, 1, [
+        { x: 5, y: 1 },
+        { x: 5, y: 5 },
+        { x: 8, y: 5 },
+      ], 5);
+      expect(result.success).toBe(true);
+      expect(result.destination).toEqual({ x: 5, y: 1 });
+
+      // The legs still ahead are visible on the moving group
+      const unit = movementSystem.getMovingUnits()[0];
+      expect(unit.orderQueue).toMatchObject([
+        { type: 'move', x: 5, y: 5 },
+        { type: 'move', x: 8, y: 5 },
+      ]);
+
+      const visited = [];
+      runToCompletion(() => visited.push(movementSystem.getUnitTile(unit)));
+
+      expect(visited).toContainEqual({ x: 5, y: 1 });
+      expect(visited).toContainEqual({ x: 5, y: 5 });
+      expect(unit.orderQueue).toEqual([]);
+      expect(map[5][8].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(map[1][5].units).toEqual([]);
+    });
+
+    test('should hold in place between legs', () => {
+      movementSystem.issueMoveOrder(map, 1, 1, 3, 1, 5, {
+        orders: [{ type: 'hold', duration: 1000 }, { type: 'move', x: 3, y: 4 }],
+      });
+      const unit = movementSystem.getMovingUnits()[0];
+
+      let frames = 0;
+      while (unit.holdTime === 0 && frames < 1000) {
+        movementSystem.update(20, map);
+        frames++;
+      }
+      expect(movementSystem.getUnitTile(unit)).toEqual({ x: 3, y: 1 });
+      expect(unit.isMoving).toBe(false);
+      expect(unit.orderQueue).toEqual([{ type: 'move', x: 3, y: 4 }]);
+
+      // Still held just before the time runs out, still on the way afterwards
+      movementSystem.update(unit.holdTime - 1, map);
+      expect(unit.holdTime).toBe(1);
+      expect(movementSystem.getMovingUnits()).toContain(unit);
+      movementSystem.update(20, map);
+      expect(unit.isMoving).toBe(true);
+      expect(unit.destinationTile).toEqual({ x: 3, y: 4 });
+
+      runToCompletion();
+      expect(map[4][3].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+    });
+
+    test('should append orders to moving groups', () => {
+      movementSystem.issueMoveOrder(map, 1, 1, 4, 1, 5);
+      const unit = movementSystem.getMovingUnits()[0];
+      movementSystem.queueOrder(unit, { type: 'move', x: 4, y: 3 });
+
+      runToCompletion();
+      expect(map[3][4].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+    });
+
+    test('should stop and drop the queue when a leg cannot be walked', () => {
+      map[6][6].type = water;
+      movementSystem.issueWaypointOrder(map, 1, 1, [
+        { x: 4, y: 1 },
+        { x: 6, y: 6 },
+        { x: 8, y: 8 },
+      ], 5);
+      const unit = movementSystem.getMovingUnits()[0];
+
+      runToCompletion();
+
+      expect(unit.orderQueue).toEqual([]);
+      expect(map[1][4].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(movementSystem.takeEvents()).toMatchObject([{
+        type: 'UNIT_PATH_BLOCKED',
+        tile: { x: 4, y: 1 },
+        destination: { x: 6, y: 6 },
+      }]);
+    });
+
+    test('should reject malformed orders', () => {
+      expect(() => movementSystem.issueWaypointOrder(map, 1, 1, [], 5)).toThrow();
+      expect(() => movementSystem.issueMoveOrder(map, 1, 1, 4, 1, 5, {
+        orders: [{ type: 'attack', x: 5, y: 5 }],
+      })).toThrow('Unknown order type: attack');
+      expect(() => movementSystem.issueMoveOrder(map, 1, 1, 4, 1, 5, {
+        orders: [{ type: 'hold' }],
+      })).toThrow();
+      expect(movementSystem.getMovingUnits()).toEqual([]);
+    });
+  });
+
+  describe('Split orders', () => {
+    test('should send shares of the available units rounded down', () => {
+      expect(movementSystem.getSplitCount(20)).toBe(20);
+      expect(movementSystem.getSplitCount(20, { fraction: 1 })).toBe(20);
+      expect(movementSystem.getSplitCount(20, { fraction: 0.25 })).toBe(5);
+      expect(movementSystem.getSplitCount(15, { fraction: 0.5 })).toBe(7);
+      expect(movementSystem.getSplitCount(3, { fraction: 0.25 })).toBe(1);
+    });
+
+    test('should send exact numbers up to the available units', () => {
+      expect(movementSystem.getSplitCount(20, { count: 7 })).toBe(7);
+      expect(movementSystem.getSplitCount(20, { count: 50 })).toBe(20);
+      // Empty garrisons still ask for a unit so the order is refused with a reason
+      expect(movementSystem.getSplitCount(0, { count: 5 })).toBe(1);
+    });
+
+    test('should reject impossible splits', () => {
+      expect(() => movementSystem.getSplitCount(20, { fraction: 0 })).toThrow();
+      expect(() => movementSystem.getSplitCount(20, { fraction: 1.5 })).toThrow();
+      expect(() => movementSystem.getSplitCount(20, { count: 0 })).toThrow();
+      expect(() => movementSystem.getSplitCount(20, { count: 2.5 })).toThrow();
+    });
+
+    test('should keep the rest of the garrison home', () => {
+      const [grass] = GAME_CONFIG.TILE_TYPES;
+      map.flat().forEach((tile) => { tile.type = grass; });
+      const { castle } = map[1][1];
+      castle.unitCount = 20;
+
+      const unitCount = movementSystem.getSplitCount(castle.unitCount, { fraction: 0.75 });
+      expect(movementSystem.moveUnits(map, 1, 1, 5, 1, unitCount)).toBe(true);
+
+      expect(movementSystem.getMovingUnits()[0].count).toBe(15);
+      expect(castle.unitCount).toBe(5);
+    });
+  });
+
+  describe('Orders for moving units', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+    const tileSize = GAME_CONFIG.TILE_SIZE;
+    let unit;
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      map[1][1].castle.unitCount = 20;
+      movementSystem.issueMoveOrder(map, 1, 1, 10, 1, 5);
+      [unit] = movementSystem.getMovingUnits();
+
+      // Halfway between (3, 1) and (4, 1)
+      let frames = 0;
+      while (unit.x < 3.5 * tileSize && frames < 1000) {
+        movementSystem.update(20, map);
+        frames++;
+      }
+    });
+
+    const isTracked = () => movementSystem.tileEventSystem.unitTileHistory.has(unit.id);
+
+    test('should find moving units by where they are drawn', () => {
+      const centerX = unit.x + tileSize / 2;
+      const centerY = unit.y + tileSize / 2;
+
+      expect(movementSystem.getMovingUnitAt(centerX + 5, centerY - 5)).toBe(unit);
+      expect(movementSystem.getMovingUnitAt(centerX + tileSize, centerY)).toBeNull();
+    });
+
+    test('should redirect units from the tile they are closest to', () => {
+      const result = movementSystem.redirectUnit(unit, map, 4, 6);
+      expect(result.success).toBe(true);
+      expect(result.destination).toEqual({ x: 4, y: 6 });
+      expect(unit.destinationTile).toEqual({ x: 4, y: 6 });
+      expect(unit.path[0]).toEqual({ x: 4 * tileSize, y: tileSize });
+
+      // Never cuts across tiles on the way
+      const visited = [];
+      runToCompletion(() => {
+        if (unit.x % tileSize !== 0) {
+          visited.push(unit.y % tileSize);
+        }
+      });
+      expect(visited.every((offset) => offset === 0)).toBe(true);
+
+      expect(map[6][4].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(map[1][10].units).toEqual([]);
+      expect(isTracked()).toBe(false);
+    });
+
+    test('should replace queued orders when redirected', () => {
+      movementSystem.queueOrder(unit, { type: 'move', x: 10, y: 10 });
+      movementSystem.redirectUnit(unit, map, 4, 6, {
+        orders: [{ type: 'move', x: 6, y: 6 }],
+      });
+      expect(unit.orderQueue).toEqual([{ type: 'move', x: 6, y: 6 }]);
+
+      runToCompletion();
+      expect(map[6][6].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(map[10][10].units).toEqual([]);
+    });
+
+    test('should keep the current order when the new target cannot be reached', () => {
+      map[6][4].type = water;
+
+      const result = movementSystem.redirectUnit(unit, map, 4, 6);
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(PATH_STATUS.INVALID);
+      expect(unit.destinationTile).toEqual({ x: 10, y: 1 });
+    });
+
+    test('should recall units to their origin', () => {
+      const { castle } = map[1][1];
+      expect(castle.unitCount).toBe(15);
+
+      const result = movementSystem.recallUnit(unit, map);
+      expect(result.destination).toEqual({ x: 1, y: 1 });
+
+      runToCompletion();
+      expect(castle.unitCount).toBe(20);
+      expect(isTracked()).toBe(false);
+    });
+
+    test('should stop units on the tile they are closest to', () => {
+      const result = movementSystem.cancelOrder(unit, map);
+
+      expect(result.success).toBe(true);
+      expect(result.destination).toEqual({ x: 4, y: 1 });
+      expect(movementSystem.getMovingUnits()).toEqual([]);
+      expect(map[1][4].getTotalUnitsForFaction(unit.factionId)).toBe(5);
+      expect(isTracked()).toBe(false);
+      expect(() => movementSystem.cancelOrder(unit, map)).toThrow('Unit is not moving');
+    });
+  });
+
+  describe('Castle streams', () => {
+    const [grass, water] = GAME_CONFIG.TILE_TYPES;
+    let castle;
+    let service;
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      castle = map[1][1].castle;
+      castle.unitCount = 12;
+      service = new PathfindingService({ worker: null });
+    });
+
+    test('should dispatch due streams along their route', () => {
+      castle.setStream([{ x: 5, y: 1 }, { x: 5, y: 4 }], { interval: 1000 });
+      const start = castle.stream.lastDispatchTime;
+      // A minute of production
+      castle.lastProductionTime -= 60000;
+      castle.update();
+      const produced = castle.unitCount - 12;
+      expect(produced).toBeGreaterThan(0);
+
+      return movementSystem.dispatchStreams(service, map, {}, start + 500)
+        .then((early) => {
+          expect(early).toEqual([]);
+          return movementSystem.dispatchStreams(service, map, {}, start + 1000);
+        })
+        .then((dispatches) => {
+          expect(dispatches.length).toBe(1);
+          expect(dispatches[0].castle).toBe(castle);
+          expect(dispatches[0].result.destination).toEqual({ x: 5, y: 1 });
+          expect(castle.unitCount).toBe(12);
+
+          const unit = movementSystem.getMovingUnits()[0];
+          expect(unit.count).toBe(produced);
+          expect(unit.orderQueue).toMatchObject([{ type: 'move', x: 5, y: 4 }]);
+        });
+    });
+
+    test('should keep the threshold garrison home', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 10 });
+
+      return movementSystem.dispatchStreams(service, map)
+        .then(() => {
+          expect(castle.unitCount).toBe(10);
+          expect(movementSystem.getMovingUnits()[0].count).toBe(2);
+
+          // Nothing beyond the threshold, nothing sent
+          return movementSystem.dispatchStreams(service, map);
+        })
+        .then(() => {
+          expect(movementSystem.getMovingUnits().length).toBe(1);
+        });
+    });
+
+    test('should not dispatch again while the route is searched', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 10 });
+
+      const first = movementSystem.dispatchStreams(service, map);
+      const second = movementSystem.dispatchStreams(service, map);
+      expect(movementSystem.getMovingUnits()).toEqual([]);
+
+      return Promise.all([first, second]).then(([dispatched, skipped]) => {
+        expect(dispatched[0].result.success).toBe(true);
+        expect(skipped).toEqual([]);
+        expect(castle.stream).not.toBeNull();
+        expect(movementSystem.getMovingUnits().length).toBe(1);
+      });
+    });
+
+    test('should clear streams whose target cannot be reached', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 0 });
+      map[1][5].type = water;
+
+      return movementSystem.dispatchStreams(service, map).then(([{ result }]) => {
+        expect(result.success).toBe(false);
+        expect(castle.stream).toBeNull();
+        expect(castle.unitCount).toBe(12);
+      });
+    });
+
+    test('should keep a stream set again while the old one was searched', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 0 });
+      map[1][5].type = water;
+
+      const dispatch = movementSystem.dispatchStreams(service, map);
+      castle.setStream([{ x: 6, y: 2 }], { threshold: 0 });
+
+      return dispatch.then(([{ result }]) => {
+        expect(result.success).toBe(false);
+        expect(castle.stream.route).toEqual([{ x: 6, y: 2 }]);
+      });
+    });
+
+    test('should drop dispatches whose stream changed during the search', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 10 });
+
+      const dispatch = movementSystem.dispatchStreams(service, map);
+      castle.setStream([{ x: 6, y: 2 }], { threshold: 10 });
+
+      return dispatch.then(([{ result }]) => {
+        expect(result.status).toBe(PATH_STATUS.CANCELLED);
+        expect(castle.unitCount).toBe(12);
+        expect(movementSystem.getMovingUnits()).toEqual([]);
+      });
+    });
+
+    test('should not send the garrison of a castle captured during the search', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 10 });
+
+      const dispatch = movementSystem.dispatchStreams(service, map);
+      castle.factionId = 1;
+
+      return dispatch.then(([{ result }]) => {
+        expect(result.success).toBe(false);
+        expect(castle.unitCount).toBe(12);
+        expect(movementSystem.getMovingUnits()).toEqual([]);
+      });
+    });
+
+    test('should dispatch again after a failed search', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 10 });
+      service.findPath = () => Promise.reject(new Error('Worker crashed'));
+
+      return expect(movementSystem.dispatchStreams(service, map)).rejects.toThrow('Worker crashed')
+        .then(() => {
+          expect(movementSystem.dispatchingCastles.has(castle)).toBe(false);
+        });
+    });
+  });
+
+  describe('Rally points', () => {
+    const [grass, water] = GAME_CONFIG.TILE_TYPES;
+    let castle;
+    let service;
+
+    beforeEach(() => {
+      map.flat().forEach((tile) => { tile.type = grass; });
+      castle = map[1][1].castle;
+      castle.unitCount = 15;
+      service = new PathfindingService({ worker: null });
+    });
+
+    test('should send units beyond the garrison to the rally point', () => {
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+      const start = castle.rallyPoint.lastDispatchTime;
+
+      return movementSystem.dispatchRallyPoints(service, map, {}, start + 500)
+        .then((early) => {
+          expect(early).toEqual([]);
+          return movementSystem.dispatchRallyPoints(service, map, {}, start + 1000);
+        })
+        .then(([{ result }]) => {
+          expect(result.success).toBe(true);
+          expect(result.destination).toEqual({ x: 4, y: 2 });
+          expect(castle.unitCount).toBe(10);
+          expect(movementSystem.getMovingUnits()[0].count).toBe(5);
+        });
+    });
+
+    test('should wait for a pending stream of the same castle', () => {
+      castle.setStream([{ x: 5, y: 1 }], { threshold: 12 });
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+      const now = castle.rallyPoint.lastDispatchTime + 1000;
+
+      const streams = movementSystem.dispatchStreams(service, map, {}, now);
+      const rallies = movementSystem.dispatchRallyPoints(service, map, {}, now);
+
+      return Promise.all([streams, rallies]).then(([streamed, rallied]) => {
+        expect(streamed.length).toBe(1);
+        expect(rallied).toEqual([]);
+        expect(castle.unitCount).toBe(12);
+      });
+    });
+
+    test('should remove rally points that cannot be reached', () => {
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+      map[2][4].type = water;
+
+      return movementSystem.dispatchRallyPoints(service, map, {}, Date.now() + 1000)
+        .then(([{ result }]) => {
+          expect(result.success).toBe(false);
+          expect(castle.rallyPoint).toBeNull();
+          expect(castle.unitCount).toBe(15);
+        });
+    });
+
+    test('should drop dispatches whose rally point moved during the search', () => {
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+
+      const dispatch = movementSystem.dispatchRallyPoints(service, map, {}, Date.now() + 1000);
+      castle.setRallyPoint(6, 3, { minGarrison: 10, interval: 1000 });
+
+      return dispatch.then(([{ result }]) => {
+        expect(result.status).toBe(PATH_STATUS.CANCELLED);
+        expect(castle.rallyPoint).toMatchObject({ x: 6, y: 3 });
+        expect(castle.unitCount).toBe(15);
+        expect(movementSystem.getMovingUnits()).toEqual([]);
+      });
+    });
+
+    test('should not send the garrison of a castle captured during the search', () => {
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+
+      const dispatch = movementSystem.dispatchRallyPoints(service, map, {}, Date.now() + 1000);
+      castle.factionId = 1;
+
+      return dispatch.then(([{ result }]) => {
+        expect(result.success).toBe(false);
+        expect(castle.unitCount).toBe(15);
+        expect(movementSystem.getMovingUnits()).toEqual([]);
+      });
+    });
+
+    test('should dispatch again after a failed search', () => {
+      castle.setRallyPoint(4, 2, { minGarrison: 10, interval: 1000 });
+      service.findPath = () => Promise.reject(new Error('Worker crashed'));
+
+      const dispatch = movementSystem.dispatchRallyPoints(service, map, {}, Date.now() + 1000);
+      return expect(dispatch).rejects.toThrow('Worker crashed').then(() => {
+        expect(movementSystem.dispatchingCastles.has(castle)).toBe(false);
+      });
+    });
+  });
+});
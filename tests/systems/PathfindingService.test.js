@@ -0,0 +1,162 @@
+import { PathfindingService } from '../../src/systems/PathfindingService.js';
+import { PathfindingSystem, PATH_STATUS } from '../../src/systems/PathfindingSystem.js';
+import { PathfindingWorker } from '../../src/workers/PathfindingWorker.js';
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { createOpenMap } from '../fixtures/openMap.js';
+
+const water = GAME_CONFIG.TILE_TYPES[1];
+
+// Stands in for a Web Worker: messages are copied and delivered in later tasks, and the
+// other side is a real PathfindingWorker
+const createInProcessWorker = () => {
+  const fake = { sent: [], terminated: false };
+  const worker = new PathfindingWorker((message) => {
+    const data = structuredClone(message);
+    setTimeout(() => fake.onmessage({ data }), 0);
+  });
+
+  fake.postMessage = (message) => {
+    fake.sent.push(message.type);
+    const data = structuredClone(message);
+    setTimeout(() => worker.handleMessage(data), 0);
+  };
+  fake.terminate = () => { fake.terminated = true; };
+  return fake;
+};
+
+describe('PathfindingService', () => {
+  describe('Synchronous fallback', () => {
+    test('should search on the main thread when there are no workers', () => {
+      const service = new PathfindingService();
+      expect(service.usesWorker()).toBe(false);
+
+      const map = createOpenMap();
+      const request = service.findPath(map, 0, 0, 3, 4);
+      expect(request).toBeInstanceOf(Promise);
+
+      return request.then((result) => {
+        expect(result.status).toBe(PATH_STATUS.COMPLETE);
+        expect(result.path).toEqual(PathfindingSystem.findPath(map, 0, 0, 3, 4));
+      });
+    });
+
+    test('should pass search options on', () => {
+      const service = new PathfindingService({ worker: null });
+      const map = createOpenMap();
+      map[4][4].type = water;
+
+      return Promise.all([
+        service.findPath(map, 0, 0, 4, 4),
+        service.findPath(map, 0, 0, 5, 5, { diagonal: true }),
+      ]).then(([invalid, diagonal]) => {
+        expect(invalid.status).toBe(PATH_STATUS.INVALID);
+        expect(diagonal).toEqual(PathfindingSystem.findPathResult(map, 0, 0, 5, 5, {
+          diagonal: true,
+        }));
+        const orthogonal = PathfindingSystem.findPath(map, 0, 0, 5, 5);
+        expect(diagonal.path.length).toBeLessThan(orthogonal.length);
+      });
+    });
+
+    test('should cancel superseded requests on the same channel', () => {
+      const service = new PathfindingService({ worker: null });
+      const map = createOpenMap();
+
+      const first = service.findPath(map, 0, 0, 9, 9, { channel: 'order' });
+      const other = service.findPath(map, 0, 0, 9, 0, { channel: 'scout' });
+      const second = service.findPath(map, 0, 0, 5, 5, { channel: 'order' });
+
+      return Promise.all([first, other, second]).then(([cancelled, kept, latest]) => {
+        expect(cancelled.status).toBe(PATH_STATUS.CANCELLED);
+        expect(cancelled.path).toEqual([]);
+        expect(kept.status).toBe(PATH_STATUS.COMPLETE);
+        expect(latest.end).toEqual({ x: 5, y: 5 });
+      });
+    });
+
+    test('should cancel everything on terminate', () => {
+      const service = new PathfindingService({ worker: null });
+      const request = service.findPath(createOpenMap(), 0, 0, 9, 9);
+      service.terminate();
+
+      return request.then((result) => {
+        expect(result.status).toBe(PATH_STATUS.CANCELLED);
+      });
+    });
+  });
+
+  describe('Worker', () => {
+    test('should send the cost grid once per map revision', () => {
+      const worker = createInProcessWorker();
+      const service = new PathfindingService({ worker });
+      const map = createOpenMap();
+
+      return service.findPath(map, 0, 0, 9, 9)
+        .then((result) => {
+          expect(result.status).toBe(PATH_STATUS.COMPLETE);
+          expect(result.path.length).toBe(18);
+          return service.findPath(map, 0, 0, 9, 0);
+        })
+        .then(() => {
+          expect(worker.sent).toEqual(['grid', 'find', 'find']);
+
+          // The worker only learns about terrain changes through a new grid
+          map[0][5].type = water;
+          return service.findPath(map, 0, 0, 9, 0);
+        })
+        .then((result) => {
+          expect(worker.sent).toEqual(['grid', 'find', 'find', 'grid', 'find']);
+          expect(result.path).not.toContainEqual({ x: 5, y: 0 });
+          expect(result.path.length).toBe(11);
+        });
+    });
+
+    test('should return the same results as the direct search', () => {
+      const service = new PathfindingService({ worker: createInProcessWorker() });
+      const map = MapGenerator.generateMap(20, { seed: 'service-noise', mode: 'noise' });
+      const castles = map.flat().filter((tile) => tile.castle);
+      const [from, to] = [castles[0], castles[castles.length - 1]];
+
+      return service.findPath(map, from.x, from.y, to.x, to.y, { allowPartial: true })
+        .then((result) => {
+          expect(result).toEqual(PathfindingSystem.findPathResult(map, from.x, from.y, to.x, to.y, {
+            allowPartial: true,
+          }));
+        });
+    });
+
+    test('should cancel superseded requests and tell the worker', () => {
+      const worker = createInProcessWorker();
+      const service = new PathfindingService({ worker });
+      const map = createOpenMap();
+
+      const first = service.findPath(map, 0, 0, 9, 9, { channel: 'order' });
+      const second = service.findPath(map, 0, 0, 2, 2, { channel: 'order' });
+
+      return Promise.all([first, second]).then(([cancelled, latest]) => {
+        expect(cancelled.status).toBe(PATH_STATUS.CANCELLED);
+        expect(latest.status).toBe(PATH_STATUS.COMPLETE);
+        expect(worker.sent).toEqual(['grid', 'find', 'cancel', 'find']);
+      });
+    });
+
+    test('should fall back to the main thread when the worker fails', () => {
+      const worker = {
+        postMessage: () => {},
+        terminate: () => { worker.terminated = true; },
+      };
+      const service = new PathfindingService({ worker });
+      const request = service.findPath(createOpenMap(), 0, 0, 3, 3);
+
+      worker.onerror({ message: 'script error' });
+      expect(worker.terminated).toBe(true);
+      expect(service.usesWorker()).toBe(false);
+
+      return request.then((result) => {
+        expect(result.status).toBe(PATH_STATUS.COMPLETE);
+        expect(result.path.length).toBe(6);
+      });
+    });
+  });
+});
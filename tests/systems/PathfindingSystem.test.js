@@ -1,5 +1,7 @@
-import { PathfindingSystem } from '../../src/systems/PathfindingSystem.js';
+import { PathfindingSystem, PATH_STATUS } from '../../src/systems/PathfindingSystem.js';
 import { MapGenerator } from '../../src/systems/MapGenerator.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { createOpenMap } from '../fixtures/openMap.js';
 
 describe('PathfindingSystem', () => {
   describe('Story 3.2: A* Pathfinding Algorithm', () => {
@@ -79,4 +81,434 @@ describe('PathfindingSystem', () => {
       promises.forEach(path => expect(path).toBeDefined());
     });
   });
-});
\ No newline at end of file
+
+  describe('Rectangular maps', () => {
+    test('should find paths across the full width and height of a non-square map', () => {
+      const map = MapGenerator.generateMap(10, { seed: 'rect', width: 40, height: 12 });
+      map.flat().forEach((tile) => { tile.type = GAME_CONFIG.TILE_TYPES[0]; });
+
+      const path = PathfindingSystem.findPath(map, 0, 0, 39, 11);
+      expect(path.length).toBe(39 + 11);
+      expect(path[path.length - 1]).toEqual({ x: 39, y: 11 });
+      expect(PathfindingSystem.isValidPosition(map, 39, 11)).toBe(true);
+      expect(PathfindingSystem.isValidPosition(map, 11, 39)).toBe(false);
+    });
+  });
+
+  describe('Terrain movement costs', () => {
+    const forest = {
+      id: 3, name: 'forest', passable: true, movementCost: 2,
+    };
+    const swamp = {
+      id: 5, name: 'swamp', passable: true, movementCost: 3,
+    };
+    const road = {
+      id: 6, name: 'road', passable: true, movementCost: 0.5,
+    };
+
+    test('should read the movement cost of a tile type', () => {
+      const map = createOpenMap(10, 10);
+      expect(map[0][0].getMovementCost()).toBe(1);
+
+      map[0][0].type = swamp;
+      expect(map[0][0].getMovementCost()).toBe(3);
+
+      map[0][0].type = { passable: true };
+      expect(map[0][0].getMovementCost()).toBe(1);
+    });
+
+    test('should route around slow terrain when the detour is cheaper', () => {
+      const map = createOpenMap(10, 10);
+      // Two swamp tiles straight ahead cost 6, stepping around them costs 2 extra moves
+      map[5][4].type = swamp;
+      map[6][4].type = swamp;
+
+      const path = PathfindingSystem.findPath(map, 4, 3, 4, 8);
+      expect(path.some((p) => map[p.y][p.x].type === swamp)).toBe(false);
+      expect(path.length).toBe(7);
+      expect(PathfindingSystem.getPathCost(map, path)).toBe(7);
+    });
+
+    test('should cross slow terrain when it is the cheapest option', () => {
+      const map = createOpenMap(10, 10);
+      // One forest tile straight ahead costs 1 extra, stepping around it costs 2
+      map[5][4].type = forest;
+
+      const path = PathfindingSystem.findPath(map, 4, 3, 4, 7);
+      expect(path).toContainEqual({ x: 4, y: 5 });
+      expect(PathfindingSystem.getPathCost(map, path)).toBe(5);
+    });
+
+    test('should prefer a longer road over a shorter route through forest', () => {
+      const map = createOpenMap(10, 10);
+      // Forest along the straight line, road one row below
+      for (let x = 3; x < 8; x++) {
+        map[4][x].type = forest;
+        map[5][x].type = road;
+      }
+
+      const path = PathfindingSystem.findPath(map, 2, 4, 8, 4);
+      expect(path.filter((p) => map[p.y][p.x].type === road).length).toBe(5);
+      expect(PathfindingSystem.getPathCost(map, path)).toBe(5.5);
+    });
+
+    test('should scale the heuristic by the cheapest terrain on the map', () => {
+      const map = createOpenMap(10, 10);
+      expect(PathfindingSystem.getMinimumMovementCost(map)).toBe(1);
+
+      map[2][2].type = forest;
+      expect(PathfindingSystem.getMinimumMovementCost(map)).toBe(1);
+
+      map[3][3].type = road;
+      expect(PathfindingSystem.getMinimumMovementCost(map)).toBe(0.5);
+      expect(PathfindingSystem.heuristic(0, 0, 3, 4, 0.5)).toBe(3.5);
+    });
+  });
+
+  describe('Performance on maximum size maps', () => {
+    const size = GAME_CONFIG.MAX_MAP_SIZE;
+    const budget = GAME_CONFIG.ANIMATION.PATHFINDING_MAX_TIME;
+
+    // Serpentine maze: walls on every other row with the gap alternating sides,
+    // so the only route visits almost every tile
+    const createSerpentineMap = () => {
+      const map = MapGenerator.generateMap(size, { seed: 'serpentine' });
+      map.flat().forEach((tile) => {
+        tile.type = GAME_CONFIG.TILE_TYPES[0];
+        tile.castle = null;
+      });
+      for (let y = 1; y < size - 1; y += 2) {
+        const gapX = (y % 4 === 1) ? size - 1 : 0;
+        for (let x = 0; x < size; x++) {
+          if (x !== gapX) {
+            map[y][x].type = GAME_CONFIG.TILE_TYPES[1];
+          }
+        }
+      }
+      return map;
+    };
+
+    // Reference shortest path length by breadth-first search
+    const bfsDistance = (map, startX, startY, endX, endY) => {
+      const distances = new Map([[`${startX},${startY}`, 0]]);
+      const queue = [[startX, startY]];
+      while (queue.length > 0) {
+        const [x, y] = queue.shift();
+        const distance = distances.get(`${x},${y}`);
+        if (x === endX && y === endY) {
+          return distance;
+        }
+        [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          const key = `${nx},${ny}`;
+          if (PathfindingSystem.isValidPosition(map, nx, ny)
+              && map[ny][nx].isPassable() && !distances.has(key)) {
+            distances.set(key, distance + 1);
+            queue.push([nx, ny]);
+          }
+        });
+      }
+      return -1;
+    };
+
+    test('should answer castle-to-castle queries on the largest map well within budget', () => {
+      const map = MapGenerator.generateMap(size, { seed: 'benchmark', mode: 'noise' });
+      const castles = map.flat().filter((tile) => tile.castle);
+      const reachable = map.flat().filter((tile) => tile.isPassable() || tile.castle).length;
+      const timings = [];
+      const expanded = [];
+
+      castles.forEach((from) => {
+        castles.forEach((to) => {
+          if (from === to) {
+            return;
+          }
+          const startTime = performance.now();
+          const result = PathfindingSystem.findPathResult(map, from.x, from.y, to.x, to.y, {
+            cache: false,
+          });
+          timings.push(performance.now() - startTime);
+          expanded.push(result.expanded);
+          expect(result.status).toBe(PATH_STATUS.COMPLETE);
+        });
+      });
+
+      // Generous bounds on time, the search itself gives up at the budget
+      expect(Math.max(...timings)).toBeLessThan(budget);
+      // The heuristic keeps each search to a small part of the map
+      const average = expanded.reduce((sum, count) => sum + count, 0) / expanded.length;
+      expect(average).toBeLessThan(reachable / 4);
+      expect(Math.max(...expanded)).toBeLessThan(reachable / 2);
+    });
+
+    test('should expand little more than the path itself on open ground', () => {
+      const map = createOpenMap(size);
+
+      const straight = PathfindingSystem.findPathResult(map, 0, 5, size - 1, 5);
+      expect(straight.path.length).toBe(size - 1);
+      expect(straight.expanded).toBe(size);
+
+      const across = PathfindingSystem.findPathResult(map, 0, 0, size - 1, size - 1);
+      expect(across.path.length).toBe(2 * (size - 1));
+      expect(across.expanded).toBeLessThanOrEqual(2 * (across.path.length + 1));
+    });
+
+    test('should search a maze covering the whole largest map within budget', () => {
+      const map = createSerpentineMap();
+      const endX = size - 1;
+      const endY = size - 1;
+
+      const startTime = performance.now();
+      const path = PathfindingSystem.findPath(map, 0, 0, endX, endY);
+      const elapsed = performance.now() - startTime;
+
+      expect(path.length).toBe(bfsDistance(map, 0, 0, endX, endY));
+      expect(path.length).toBeGreaterThanOrEqual((size * (size - 1)) / 2);
+      expect(elapsed).toBeLessThan(budget);
+    });
+
+    test('should find shortest paths on random maps', () => {
+      const map = MapGenerator.generateMap(30, { seed: 'shortest' });
+      const castles = map.flat().filter((tile) => tile.castle);
+      const [from, to] = [castles[0], castles[castles.length - 1]];
+
+      const path = PathfindingSystem.findPath(map, from.x, from.y, to.x, to.y);
+      expect(path.length).toBe(bfsDistance(map, from.x, from.y, to.x, to.y));
+    });
+  });
+
+  describe('Diagonal movement', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+
+    test('should move orthogonally by default', () => {
+      expect(GAME_CONFIG.PATHFINDING.DIAGONAL_MOVEMENT).toBe(false);
+
+      const map = createOpenMap(10);
+      const path = PathfindingSystem.findPath(map, 0, 0, 5, 5);
+      expect(path.length).toBe(10);
+    });
+
+    test('should take diagonal steps costing sqrt(2) when enabled', () => {
+      const map = createOpenMap(10);
+      const path = PathfindingSystem.findPath(map, 0, 0, 5, 3, 100, { diagonal: true });
+
+      expect(path.length).toBe(5);
+      expect(path[path.length - 1]).toEqual({ x: 5, y: 3 });
+      expect(PathfindingSystem.getPathCost(map, path, 0, 0)).toBeCloseTo(3 * Math.SQRT2 + 2);
+    });
+
+    test('should use an admissible octile heuristic', () => {
+      expect(PathfindingSystem.octileHeuristic(0, 0, 5, 3)).toBeCloseTo(3 * Math.SQRT2 + 2);
+      expect(PathfindingSystem.octileHeuristic(2, 2, 2, 6)).toBe(4);
+      expect(PathfindingSystem.octileHeuristic(0, 0, 4, 4, 0.5)).toBeCloseTo(2 * Math.SQRT2);
+    });
+
+    test('should not cut corners of impassable tiles by default', () => {
+      const map = createOpenMap(10);
+      map[0][1].type = water;
+
+      const path = PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { diagonal: true });
+      expect(path).toEqual([{ x: 0, y: 1 }, { x: 1, y: 1 }]);
+    });
+
+    test('should apply the configured corner cutting rule', () => {
+      const map = createOpenMap(10);
+      // Squeezing from (0, 0) to (1, 1) passes between two water tiles
+      map[0][1].type = water;
+      map[1][0].type = water;
+      const options = { diagonal: true };
+
+      expect(PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { ...options, cornerCutting: 'never' }))
+        .toEqual([]);
+      expect(PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { ...options, cornerCutting: 'single' }))
+        .toEqual([]);
+      expect(PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { ...options, cornerCutting: 'squeeze' }))
+        .toEqual([{ x: 1, y: 1 }]);
+
+      // Passing a single blocked corner is allowed by 'single'
+      map[1][0].type = grass;
+      expect(PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { ...options, cornerCutting: 'single' }))
+        .toEqual([{ x: 1, y: 1 }]);
+    });
+
+    test('should reject unknown corner cutting rules', () => {
+      const map = createOpenMap(10);
+      expect(() => PathfindingSystem.findPath(map, 0, 0, 1, 1, 100, { cornerCutting: 'sometimes' }))
+        .toThrow('Unknown corner cutting rule');
+    });
+
+    test('should weigh diagonal steps by terrain cost', () => {
+      const map = createOpenMap(10);
+      const swamp = {
+        id: 5, name: 'swamp', passable: true, movementCost: 3,
+      };
+      map[1][1].type = swamp;
+
+      // Straight through the swamp costs 3 * sqrt(2) + sqrt(2), around it 2 + sqrt(2)
+      const path = PathfindingSystem.findPath(map, 0, 0, 2, 2, 100, { diagonal: true });
+      expect(path).not.toContainEqual({ x: 1, y: 1 });
+      expect(PathfindingSystem.getPathCost(map, path, 0, 0)).toBeCloseTo(2 + Math.SQRT2);
+    });
+  });
+
+  describe('Path results and partial paths', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+
+    // Open map with the target (7, 5) walled in by water
+    const createEnclosedTargetMap = () => {
+      const map = MapGenerator.generateMap(10, { seed: 'enclosed' });
+      map.flat().forEach((tile) => {
+        tile.type = grass;
+        tile.castle = null;
+      });
+      [[6, 5], [8, 5], [7, 4], [7, 6]].forEach(([x, y]) => { map[y][x].type = water; });
+      return map;
+    };
+
+    test('should report complete paths', () => {
+      const map = createEnclosedTargetMap();
+      const result = PathfindingSystem.findPathResult(map, 0, 0, 3, 2);
+
+      expect(result.status).toBe(PATH_STATUS.COMPLETE);
+      expect(result.path.length).toBe(5);
+      expect(result.end).toEqual({ x: 3, y: 2 });
+    });
+
+    test('should report invalid queries', () => {
+      const map = createEnclosedTargetMap();
+
+      expect(PathfindingSystem.findPathResult(map, 0, 0, 20, 2).status).toBe(PATH_STATUS.INVALID);
+      expect(PathfindingSystem.findPathResult(map, -1, 0, 2, 2).status).toBe(PATH_STATUS.INVALID);
+
+      const impassable = PathfindingSystem.findPathResult(map, 0, 0, 6, 5, { allowPartial: true });
+      expect(impassable.status).toBe(PATH_STATUS.INVALID);
+      expect(impassable.path).toEqual([]);
+    });
+
+    test('should refuse enclosed targets unless partial paths are allowed', () => {
+      const map = createEnclosedTargetMap();
+
+      const refused = PathfindingSystem.findPathResult(map, 0, 5, 7, 5);
+      expect(refused.status).toBe(PATH_STATUS.PARTIAL);
+      expect(refused.path).toEqual([]);
+      expect(PathfindingSystem.findPath(map, 0, 5, 7, 5)).toEqual([]);
+
+      const partial = PathfindingSystem.findPathResult(map, 0, 5, 7, 5, { allowPartial: true });
+      expect(partial.status).toBe(PATH_STATUS.PARTIAL);
+      // The tiles around the wall are equally close to the target, the cheapest to reach wins
+      expect(partial.end).toEqual({ x: 5, y: 5 });
+      expect(partial.path[partial.path.length - 1]).toEqual(partial.end);
+      expect(partial.path.length).toBe(5);
+    });
+
+    test('should report timeouts with the closest tile explored so far', () => {
+      // A long wall forces the search to explore most of the map
+      const map = MapGenerator.generateMap(30, { seed: 'timeout' });
+      map.flat().forEach((tile) => { tile.type = tile.x === 15 && tile.y < 29 ? water : grass; });
+
+      const timedOut = PathfindingSystem.findPathResult(map, 0, 0, 29, 0, { maxTime: -1 });
+      expect(timedOut.status).toBe(PATH_STATUS.TIMEOUT);
+      expect(timedOut.path).toEqual([]);
+
+      const partial = PathfindingSystem.findPathResult(map, 0, 0, 29, 0, {
+        maxTime: -1, allowPartial: true,
+      });
+      expect(partial.status).toBe(PATH_STATUS.TIMEOUT);
+      expect(partial.path.length).toBeGreaterThan(0);
+      expect(partial.path[partial.path.length - 1]).toEqual(partial.end);
+    });
+  });
+
+  describe('Path caching', () => {
+    const grass = GAME_CONFIG.TILE_TYPES[0];
+    const water = GAME_CONFIG.TILE_TYPES[1];
+
+    test('should count revisions per map', () => {
+      const map = createOpenMap();
+      const other = createOpenMap();
+      expect(PathfindingSystem.getMapRevision(map)).toBe(0);
+
+      PathfindingSystem.markMapChanged(map);
+      PathfindingSystem.markMapChanged(map);
+      expect(PathfindingSystem.getMapRevision(map)).toBe(2);
+      expect(PathfindingSystem.getMapRevision(other)).toBe(0);
+    });
+
+    test('should count terrain and castle changes as revisions', () => {
+      const map = createOpenMap();
+      const revision = PathfindingSystem.getMapRevision(map);
+
+      map[3][3].type = water;
+      expect(PathfindingSystem.getMapRevision(map)).toBe(revision + 1);
+      map[3][3].setCastle(null);
+      expect(PathfindingSystem.getMapRevision(map)).toBe(revision + 2);
+
+      // Units come and go without touching passability
+      map[3][4].addUnit({ factionId: 0, count: 5 });
+      expect(PathfindingSystem.getMapRevision(map)).toBe(revision + 2);
+    });
+
+    test('should reuse results for repeated queries', () => {
+      const map = createOpenMap();
+      const first = PathfindingSystem.findPathResult(map, 0, 0, 9, 9);
+
+      // Break the cost grid behind the cache's back, a cached query never looks at it
+      PathfindingSystem.getCostGrid(map).costs.fill(-1);
+      const second = PathfindingSystem.findPathResult(map, 0, 0, 9, 9);
+
+      expect(second).toEqual(first);
+      expect(second.path).not.toBe(first.path);
+
+      // Callers may modify the returned path without affecting the cache
+      second.path.length = 0;
+      expect(PathfindingSystem.findPath(map, 0, 0, 9, 9).length).toBe(18);
+      // Uncached queries build a grid of their own
+      expect(PathfindingSystem.findPath(map, 0, 0, 9, 9, 100, { cache: false }).length).toBe(18);
+      expect(PathfindingSystem.findPath(map, 0, 0, 9, 8)).toEqual([]);
+    });
+
+    test('should recompute paths after the terrain changes', () => {
+      const map = createOpenMap();
+      expect(PathfindingSystem.findPath(map, 0, 0, 9, 0).length).toBe(9);
+
+      // Wall off the top row except at x = 5, y = 9
+      for (let y = 0; y < 9; y++) {
+        map[y][5].type = water;
+      }
+      const path = PathfindingSystem.findPath(map, 0, 0, 9, 0);
+      expect(path.length).toBe(27);
+      expect(path).toContainEqual({ x: 5, y: 9 });
+    });
+
+    test('should keep queries with different options apart', () => {
+      const map = createOpenMap();
+
+      expect(PathfindingSystem.findPath(map, 0, 0, 4, 4).length).toBe(8);
+      expect(PathfindingSystem.findPath(map, 0, 0, 4, 4, 100, { diagonal: true }).length).toBe(4);
+      expect(PathfindingSystem.findPath(map, 0, 0, 4, 4).length).toBe(8);
+    });
+
+    test('should not cache timeouts', () => {
+      const map = MapGenerator.generateMap(30, { seed: 'cache-timeout' });
+      map.flat().forEach((tile) => { tile.type = tile.x === 15 && tile.y < 29 ? water : grass; });
+
+      const timedOut = PathfindingSystem.findPathResult(map, 0, 0, 29, 0, { maxTime: -1 });
+      expect(timedOut.status).toBe(PATH_STATUS.TIMEOUT);
+
+      const result = PathfindingSystem.findPathResult(map, 0, 0, 29, 0);
+      expect(result.status).toBe(PATH_STATUS.COMPLETE);
+    });
+
+    test('should drop the cache of a map on request', () => {
+      const map = createOpenMap();
+      PathfindingSystem.findPath(map, 0, 0, 9, 9);
+      map[5].forEach((tile) => { tile.type = water; });
+
+      PathfindingSystem.clearCache(map);
+      expect(PathfindingSystem.findPath(map, 0, 0, 9, 9)).toEqual([]);
+    });
+  });
+});
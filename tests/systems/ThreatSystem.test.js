@@ -0,0 +1,116 @@
+import { ThreatSystem } from '../../src/systems/ThreatSystem.js';
+import { PathfindingSystem } from '../../src/systems/PathfindingSystem.js';
+import { Castle } from '../../src/entities/Castle.js';
+import { Unit } from '../../src/entities/Unit.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+import { createOpenMap } from '../fixtures/openMap.js';
+
+const tileSize = GAME_CONFIG.TILE_SIZE;
+
+const addUnits = (map, x, y, factionId, count) => {
+  map[y][x].addUnit({
+    factionId, count, x, y, isMoving: false,
+  });
+};
+
+describe('ThreatSystem', () => {
+  describe('Threat grid', () => {
+    test('should count enemy units and castle garrisons', () => {
+      const map = createOpenMap();
+      addUnits(map, 2, 3, 1, 6);
+      addUnits(map, 4, 4, 0, 9);
+      map[5][5].castle = new Castle(5, 5, 2);
+      map[6][6].castle = Castle.createNeutral(6, 6, { garrison: 7 });
+      map[7][7].castle = new Castle(7, 7, 0);
+
+      const threat = ThreatSystem.getThreatGrid(map, 0);
+
+      expect(threat[3 * 10 + 2]).toBe(6);
+      expect(threat[4 * 10 + 4]).toBe(0);
+      expect(threat[5 * 10 + 5]).toBe(10);
+      expect(threat[6 * 10 + 6]).toBe(7);
+      expect(threat[7 * 10 + 7]).toBe(0);
+    });
+
+    test('should count moving enemies where they are and where they are heading', () => {
+      const map = createOpenMap();
+      const enemy = new Unit(1, 8);
+      enemy.setPosition(3 * tileSize, 2 * tileSize);
+      enemy.setPath([{ x: 4 * tileSize, y: 2 * tileSize }]);
+      const ally = new Unit(0, 20);
+      ally.setPosition(6 * tileSize, 6 * tileSize);
+
+      const threat = ThreatSystem.getThreatGrid(map, 0, [enemy, ally]);
+
+      expect(threat[2 * 10 + 3]).toBe(8);
+      expect(threat[2 * 10 + 4]).toBe(8);
+      expect(threat[6 * 10 + 6]).toBe(0);
+    });
+
+    test('should scale costs by risk weight relative to the group size', () => {
+      const map = createOpenMap();
+      addUnits(map, 2, 2, 1, 10);
+
+      expect(ThreatSystem.createCostOverlay(map, 0, 10, 3)[2 * 10 + 2]).toBe(3);
+      expect(ThreatSystem.createCostOverlay(map, 0, 20, 3)[2 * 10 + 2]).toBe(1.5);
+      expect(ThreatSystem.createCostOverlay(map, 0, 10, 0)[2 * 10 + 2]).toBe(0);
+    });
+  });
+
+  describe('Threat-aware paths', () => {
+    // Enemy stack in the middle of the straight route from (0, 5) to (9, 5)
+    const createContestedMap = () => {
+      const map = createOpenMap();
+      addUnits(map, 5, 5, 1, 10);
+      return map;
+    };
+
+    test('should walk around enemies when the detour is worth it', () => {
+      const map = createContestedMap();
+      const direct = PathfindingSystem.findPath(map, 0, 5, 9, 5);
+      expect(direct).toContainEqual({ x: 5, y: 5 });
+
+      const costOverlay = ThreatSystem.createCostOverlay(map, 0, 10, 3);
+      const safe = PathfindingSystem.findPathResult(map, 0, 5, 9, 5, { costOverlay }).path;
+      expect(safe).not.toContainEqual({ x: 5, y: 5 });
+      expect(safe.length).toBe(11);
+    });
+
+    test('should go straight through when the risk weight is low', () => {
+      const map = createContestedMap();
+      const costOverlay = ThreatSystem.createCostOverlay(map, 0, 10, 1);
+
+      const path = PathfindingSystem.findPathResult(map, 0, 5, 9, 5, { costOverlay }).path;
+      expect(path).toContainEqual({ x: 5, y: 5 });
+    });
+
+    test('should cache queries per cost overlay', () => {
+      const map = createContestedMap();
+      PathfindingSystem.findPath(map, 0, 5, 9, 5);
+
+      const costOverlay = ThreatSystem.createCostOverlay(map, 0, 10, 3);
+      const safe = PathfindingSystem.findPathResult(map, 0, 5, 9, 5, { costOverlay }).path;
+      expect(safe).not.toContainEqual({ x: 5, y: 5 });
+      expect(PathfindingSystem.findPath(map, 0, 5, 9, 5)).toContainEqual({ x: 5, y: 5 });
+
+      // A new overlay with the same threats is answered from the cache, which does not
+      // notice a tile blocked in the cost grid behind its back
+      const [first] = safe;
+      const { costs } = PathfindingSystem.getCostGrid(map);
+      const firstCost = costs[first.y * 10 + first.x];
+      costs[first.y * 10 + first.x] = -1;
+      const again = ThreatSystem.createCostOverlay(map, 0, 10, 3);
+      expect(PathfindingSystem.findPathResult(map, 0, 5, 9, 5, { costOverlay: again }).path)
+        .toEqual(safe);
+      costs[first.y * 10 + first.x] = firstCost;
+
+      // Threats that moved do not
+      map[5][5].units = [];
+      addUnits(map, 5, 4, 1, 10);
+      const moved = ThreatSystem.createCostOverlay(map, 0, 10, 3);
+      const { path } = PathfindingSystem.findPathResult(map, 0, 5, 9, 5, { costOverlay: moved });
+      expect(path).toContainEqual({ x: 5, y: 5 });
+      expect(path).not.toContainEqual({ x: 5, y: 4 });
+    });
+  });
+});
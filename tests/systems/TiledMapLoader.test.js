@@ -0,0 +1,197 @@
+import { readFileSync } from 'fs';
+import { TiledMapLoader } from '../../src/systems/TiledMapLoader.js';
+import { MapFormatError } from '../../src/systems/MapFormatError.js';
+import { GAME_CONFIG } from '../../src/config/GameConfig.js';
+
+const loadFixture = (name) => readFileSync(new URL(`../fixtures/maps/${name}`, import.meta.url), 'utf8');
+
+const terrainTileset = () => ({
+  firstgid: 1,
+  name: 'terrain',
+  tiles: [
+    { id: 0, properties: [{ name: 'terrain', type: 'string', value: 'grass' }] },
+    { id: 1, properties: [{ name: 'terrain', type: 'string', value: 'water' }] },
+  ],
+});
+
+// 3x2 all-grass Tiled map with one castle per faction given
+const createTiledMap = (castles = [{ x: 0, y: 0, faction: 0 }, { x: 2, y: 1, faction: 1 }]) => ({
+  orientation: 'orthogonal',
+  infinite: false,
+  width: 3,
+  height: 2,
+  tilewidth: 32,
+  tileheight: 32,
+  layers: [
+    {
+      name: 'terrain', type: 'tilelayer', width: 3, height: 2, data: [1, 1, 1, 1, 1, 1],
+    },
+    {
+      name: 'castles',
+      type: 'objectgroup',
+      objects: castles.map((castle, index) => ({
+        id: index + 1,
+        class: 'castle',
+        point: true,
+        x: castle.x * 32 + 16,
+        y: castle.y * 32 + 16,
+        properties: [{ name: 'faction', type: 'int', value: castle.faction }],
+      })),
+    },
+  ],
+  tilesets: [terrainTileset()],
+});
+
+const expectFormatError = (fn) => {
+  let caught = null;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).toBeInstanceOf(MapFormatError);
+  return caught;
+};
+
+describe('TiledMapLoader', () => {
+  describe('Loading Tiled JSON maps', () => {
+    test('should build tiles from tileset terrain properties', () => {
+      const map = TiledMapLoader.load(loadFixture('tiled-skirmish.tmj'));
+
+      expect(map.length).toBe(4);
+      expect(map[0].length).toBe(6);
+      expect(map[0][0].type.name).toBe('grass');
+      expect(map[0][2].type.name).toBe('water');
+      expect(map[1][3].type.name).toBe('mountain');
+      expect(map[3][5].type.name).toBe('grass');
+    });
+
+    test('should read castles from the object layer', () => {
+      const map = TiledMapLoader.load(loadFixture('tiled-skirmish.tmj'));
+
+      // Point object given by faction name with explicit settings
+      expect(map[1][1].castle.factionId).toBe(0);
+      expect(map[1][1].castle.productionRate).toBe(90);
+      expect(map[1][1].castle.unitCount).toBe(12);
+
+      // Rectangle object given by faction id, placed by its centre, with default settings
+      expect(map[2][4].castle.factionId).toBe(1);
+      expect(map[2][4].castle.productionRate).toBe(GAME_CONFIG.PRODUCTION.DEFAULT_RATE);
+      expect(map[2][4].castle.unitCount).toBe(10);
+
+      // Castle without a faction is neutral
+      expect(map[3][0].castle.isNeutral()).toBe(true);
+      expect(map[3][0].castle.unitCount).toBe(20);
+      expect(map[3][0].castle.productionRate).toBe(GAME_CONFIG.NEUTRAL_CASTLES.PRODUCTION_RATE);
+
+      expect(map.factions.map((f) => f.name)).toEqual(['Red', 'Blue']);
+    });
+
+    test('should ignore flip flags on gids', () => {
+      const tiled = createTiledMap();
+      tiled.layers[0].data[4] = 2 + 0x80000000;
+
+      const map = TiledMapLoader.load(tiled);
+      expect(map[1][1].type.name).toBe('water');
+    });
+
+    test('should decode Base64 layer data', () => {
+      const tiled = createTiledMap();
+      const gids = new Uint32Array([1, 2, 1, 1, 1, 1]);
+      tiled.layers[0].data = Buffer.from(gids.buffer).toString('base64');
+      tiled.layers[0].encoding = 'base64';
+
+      const map = TiledMapLoader.load(tiled);
+      expect(map[0][1].type.name).toBe('water');
+      expect(map[0][0].type.name).toBe('grass');
+    });
+
+    test('should read tile objects anchored at their bottom-left corner', () => {
+      const tiled = createTiledMap([{ x: 0, y: 0, faction: 0 }]);
+      Object.assign(tiled.layers[1].objects[0], {
+        gid: 1, point: false, x: 64, y: 64, width: 32, height: 32,
+      });
+
+      const map = TiledMapLoader.load(tiled);
+      expect(map[1][2].castle.factionId).toBe(0);
+    });
+
+    test('should support legacy object properties and the type field', () => {
+      const tiled = createTiledMap([]);
+      tiled.layers[1].objects.push({
+        id: 1, type: 'castle', x: 48, y: 16, properties: { faction: 'blue', units: 3 },
+      });
+
+      const map = TiledMapLoader.load(tiled);
+      expect(map[0][1].castle.factionId).toBe(1);
+      expect(map[0][1].castle.unitCount).toBe(3);
+    });
+
+    test('should use the named tile layer', () => {
+      const tiled = createTiledMap();
+      tiled.layers.unshift({
+        name: 'decoration', type: 'tilelayer', width: 3, height: 2, data: [0, 0, 0, 0, 0, 0],
+      });
+
+      const map = TiledMapLoader.load(tiled, { tileLayer: 'terrain' });
+      expect(map[0][0].type.name).toBe('grass');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should point to tiles whose gid has no terrain', () => {
+      const tiled = createTiledMap();
+      tiled.layers[0].data[5] = 7;
+
+      const error = expectFormatError(() => TiledMapLoader.load(tiled));
+      expect(error.path).toBe('layers[0].data[5]');
+      expect(error.tile).toEqual({ x: 2, y: 1 });
+    });
+
+    test('should point to empty tiles', () => {
+      const tiled = createTiledMap();
+      tiled.layers[0].data[1] = 0;
+
+      const error = expectFormatError(() => TiledMapLoader.load(tiled));
+      expect(error.message).toMatch(/empty tile/);
+      expect(error.tile).toEqual({ x: 1, y: 0 });
+    });
+
+    test('should reject unknown terrain names and factions', () => {
+      const terrain = createTiledMap();
+      terrain.tilesets[0].tiles[1].properties[0].value = 'lava';
+      expect(expectFormatError(() => TiledMapLoader.load(terrain)).message)
+        .toMatch(/unknown terrain "lava"/);
+
+      const faction = createTiledMap([{ x: 1, y: 1, faction: 'Gold' }]);
+      const error = expectFormatError(() => TiledMapLoader.load(faction));
+      expect(error.path).toBe('layers[1].objects[0].faction');
+      expect(error.tile).toEqual({ x: 1, y: 1 });
+    });
+
+    test('should reject castles on impassable tiles', () => {
+      const tiled = createTiledMap();
+      tiled.layers[0].data[0] = 2;
+
+      const error = expectFormatError(() => TiledMapLoader.load(tiled));
+      expect(error.tile).toEqual({ x: 0, y: 0 });
+    });
+
+    test('should reject map features the loader does not support', () => {
+      expect(expectFormatError(() => TiledMapLoader.load('<?xml version="1.0"?><map/>')).message)
+        .toMatch(/export the map as JSON/);
+      const infinite = { ...createTiledMap(), infinite: true };
+      expect(expectFormatError(() => TiledMapLoader.load(infinite)).path).toBe('infinite');
+
+      const external = createTiledMap();
+      external.tilesets = [{ firstgid: 1, source: 'terrain.tsx' }];
+      expect(expectFormatError(() => TiledMapLoader.load(external)).message)
+        .toMatch(/must be embedded/);
+
+      const compressed = createTiledMap();
+      Object.assign(compressed.layers[0], { encoding: 'base64', compression: 'zlib', data: '' });
+      expect(expectFormatError(() => TiledMapLoader.load(compressed)).message)
+        .toMatch(/zlib compressed layers are not supported/);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { BinaryHeap } from '../../src/utils/BinaryHeap.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+describe('BinaryHeap', () => {
+  test('should pop ids in priority order', () => {
+    const heap = new BinaryHeap(10);
+    heap.push(3, 5);
+    heap.push(7, 1);
+    heap.push(1, 3);
+    heap.push(9, 4);
+
+    expect(heap.size).toBe(4);
+    expect(heap.peek()).toBe(7);
+    expect([heap.pop(), heap.pop(), heap.pop(), heap.pop()]).toEqual([7, 1, 9, 3]);
+    expect(heap.isEmpty()).toBe(true);
+    expect(heap.pop()).toBe(-1);
+  });
+
+  test('should track which ids are in the heap', () => {
+    const heap = new BinaryHeap(5);
+    heap.push(2, 10);
+
+    expect(heap.has(2)).toBe(true);
+    expect(heap.has(4)).toBe(false);
+
+    heap.pop();
+    expect(heap.has(2)).toBe(false);
+  });
+
+  test('should lower priorities in place with decrease-key', () => {
+    const heap = new BinaryHeap(5);
+    heap.push(0, 10);
+    heap.push(1, 20);
+    heap.push(2, 30);
+
+    heap.decreaseKey(2, 5);
+    expect(heap.size).toBe(3);
+    expect(heap.getPriority(2)).toBe(5);
+    expect(heap.pop()).toBe(2);
+
+    // Pushing an id that is already queued only ever lowers its priority
+    heap.push(1, 50);
+    expect(heap.getPriority(1)).toBe(20);
+    heap.push(1, 1);
+    expect(heap.size).toBe(2);
+    expect(heap.pop()).toBe(1);
+  });
+
+  test('should match a sorted order for random operations', () => {
+    const rng = new SeededRandom('heap');
+    const heap = new BinaryHeap(200);
+    const expected = new Map();
+
+    for (let i = 0; i < 500; i++) {
+      const id = rng.nextInt(0, 200);
+      const priority = rng.next() * 100;
+      heap.push(id, priority);
+      expected.set(id, Math.min(priority, expected.has(id) ? expected.get(id) : Infinity));
+    }
+
+    const order = [];
+    while (!heap.isEmpty()) {
+      const id = heap.pop();
+      order.push(expected.get(id));
+    }
+
+    expect(order.length).toBe(expected.size);
+    expect(order).toEqual([...expected.values()].sort((a, b) => a - b));
+  });
+
+  test('should clear all entries', () => {
+    const heap = new BinaryHeap(5);
+    heap.push(0, 1);
+    heap.push(4, 2);
+    heap.clear();
+
+    expect(heap.isEmpty()).toBe(true);
+    expect(heap.has(4)).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+describe('SeededRandom', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom('abc');
+    const b = new SeededRandom('abc');
+
+    for (let i = 0; i < 100; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('should produce values in [0, 1)', () => {
+    const rng = new SeededRandom(42);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const a = new SeededRandom(1);
+    const b = new SeededRandom(2);
+    const sequenceA = Array.from({ length: 10 }, () => a.next());
+    const sequenceB = Array.from({ length: 10 }, () => b.next());
+
+    expect(sequenceA).not.toEqual(sequenceB);
+  });
+
+  test('should return integers within the requested range', () => {
+    const rng = new SeededRandom('range');
+
+    for (let i = 0; i < 200; i++) {
+      const value = rng.nextInt(3, 7);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(3);
+      expect(value).toBeLessThan(7);
+    }
+  });
+});
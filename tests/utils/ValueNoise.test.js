@@ -0,0 +1,29 @@
+import { ValueNoise } from '../../src/utils/ValueNoise.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+describe('ValueNoise', () => {
+  test('should return values in [0, 1]', () => {
+    const noise = new ValueNoise(new SeededRandom('range'));
+
+    for (let i = 0; i < 500; i++) {
+      const value = noise.fractal(i * 0.37, i * 0.19, 3, 0.5);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('should be smooth between neighbouring samples', () => {
+    const noise = new ValueNoise(new SeededRandom('smooth'));
+
+    for (let x = 0; x < 10; x += 0.05) {
+      expect(Math.abs(noise.noise2D(x + 0.01, 3.3) - noise.noise2D(x, 3.3))).toBeLessThan(0.05);
+    }
+  });
+
+  test('should be deterministic for the same PRNG seed', () => {
+    const a = new ValueNoise(new SeededRandom(99));
+    const b = new ValueNoise(new SeededRandom(99));
+
+    expect(a.fractal(12.5, 7.25)).toBe(b.fractal(12.5, 7.25));
+  });
+});
@@ -0,0 +1,58 @@
+import { PathfindingWorker } from '../../src/workers/PathfindingWorker.js';
+import { PathfindingSystem, PATH_STATUS } from '../../src/systems/PathfindingSystem.js';
+import { MapGenerator } from '../../src/systems/MapGenerator.js';
+
+const waitForTasks = () => new Promise((resolve) => { setTimeout(resolve, 10); });
+
+const createGrid = () => {
+  const map = MapGenerator.generateMap(10, { seed: 'worker', mode: 'noise' });
+  return { map, grid: PathfindingSystem.createCostGrid(map) };
+};
+
+const query = (startX, startY, endX, endY) => ({
+  startX,
+  startY,
+  endX,
+  endY,
+  options: PathfindingSystem.getMovementRules(),
+});
+
+describe('PathfindingWorker', () => {
+  test('should answer searches on the grid it was sent', () => {
+    const messages = [];
+    const worker = new PathfindingWorker((message) => messages.push(message));
+    const { map, grid } = createGrid();
+
+    worker.handleMessage({ type: 'grid', grid });
+    worker.handleMessage({ type: 'find', id: 7, query: query(1, 1, 8, 8) });
+    expect(messages).toEqual([]);
+
+    return waitForTasks().then(() => {
+      expect(messages).toEqual([{
+        type: 'result',
+        id: 7,
+        result: PathfindingSystem.findPathResult(map, 1, 1, 8, 8),
+      }]);
+    });
+  });
+
+  test('should drop queued searches that were cancelled', () => {
+    const messages = [];
+    const worker = new PathfindingWorker((message) => messages.push(message));
+    worker.handleMessage({ type: 'grid', grid: createGrid().grid });
+
+    worker.handleMessage({ type: 'find', id: 1, query: query(1, 1, 8, 8) });
+    worker.handleMessage({ type: 'find', id: 2, query: query(1, 1, 3, 3) });
+    worker.handleMessage({ type: 'cancel', id: 1 });
+    worker.handleMessage({ type: 'cancel', id: 99 });
+
+    expect(messages.length).toBe(1);
+    expect(messages[0].id).toBe(1);
+    expect(messages[0].result.status).toBe(PATH_STATUS.CANCELLED);
+
+    return waitForTasks().then(() => {
+      expect(messages.map((message) => message.id)).toEqual([1, 2]);
+      expect(messages[1].result.status).not.toBe(PATH_STATUS.CANCELLED);
+    });
+  });
+});